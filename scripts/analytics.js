@@ -0,0 +1,301 @@
+/**
+ * analytics.js — Dashboard stats & trends over a chosen range
+ * Totals for the stat cards, and trends that bucket tasks by due date into
+ * days, weeks or months with per-tag totals, compared with the period of the
+ * same length just before. Durations roll up subtasks (see subtasks.js).
+ * "Today" comes in as a local YYYY-MM-DD day (dates.js), never a UTC one.
+ *
+ * Ranges end today: week = last 7 days, month = last 30 days,
+ * semester = last 16 weeks; custom ranges give their own start and end.
+ */
+
+import { parseDate, formatDate, addDays, daysBetween, startOfWeek, weekRange } from './dates.js';
+import { subtaskProgress, plannedMinutes, doneMinutes } from './subtasks.js';
+import { validateField } from './validators.js';
+import { sessionKey, trackedMinutes } from './timer.js';
+
+export const RANGE_PRESETS = { week: 7, month: 30, semester: 112 };
+export const BUCKETS = ['day', 'week', 'month'];
+
+// Longest custom range, so daily bars stay readable
+export const MAX_RANGE_DAYS = 366;
+
+/**
+ * Where a week's minutes stand against a tag budget.
+ * @param {number} used - Minutes
+ * @param {{ min?: number, max?: number }} budget
+ * @returns {'under'|'over'|'ok'}
+ */
+export function budgetStatus(used, { min, max }) {
+  if (max !== undefined && used > max) return 'over';
+  if (min !== undefined && used < min) return 'under';
+  return 'ok';
+}
+
+/**
+ * Stat card totals.
+ * @param {Array} tasks - Occurrences to count
+ * @param {{ today: string, weekStart?: number, weeklyCap?: number, tagBudgets?: object, courses?: Array,
+ *           sessions?: Array }} options
+ *   `today` (local YYYY-MM-DD) and `weekStart` (0 = Sunday, 1 = Monday) place the current week;
+ *   the weekly cap and tag budgets count only tasks due within it
+ * @returns {object} Totals, plus `budgets`: [{ tag, min, max, used, status }] in settings order,
+ *   `courses`: per-course totals (see courseTotals) and `time`: planned vs. tracked minutes (see compareTime)
+ */
+export function computeStats(tasks, { today, weekStart = 0, weeklyCap = 0, tagBudgets = {}, courses = [], sessions = [] }) {
+  const total = tasks.length;
+  // Durations roll up subtasks: ticked subtasks count as done before the task is
+  const totalDuration = tasks.reduce((sum, t) => sum + plannedMinutes(t), 0);
+
+  // Completed vs outstanding
+  const completedCount = tasks.filter(t => t.completed).length;
+  const completedDuration = tasks.reduce((sum, t) => sum + doneMinutes(t), 0);
+  const outstandingDuration = totalDuration - completedDuration;
+  const completionRate = total > 0 ? completedCount / total : 0;
+
+  // Checklist progress across all tasks
+  const subtasks = tasks.reduce((acc, t) => {
+    const { done, total: count } = subtaskProgress(t);
+    return { done: acc.done + done, total: acc.total + count };
+  }, { done: 0, total: 0 });
+
+  // Top tag
+  const tagCounts = {};
+  tasks.forEach(t => {
+    tagCounts[t.tag] = (tagCounts[t.tag] || 0) + 1;
+  });
+  const topTag = Object.entries(tagCounts).sort((a, b) => b[1] - a[1])[0];
+
+  // Tag durations for breakdown
+  const tagDurations = {};
+  tasks.forEach(t => {
+    tagDurations[t.tag] = (tagDurations[t.tag] || 0) + plannedMinutes(t);
+  });
+
+  // Completion rate per tag
+  const tagCompletion = {};
+  tasks.forEach(t => {
+    const entry = tagCompletion[t.tag] || (tagCompletion[t.tag] = { total: 0, completed: 0, rate: 0 });
+    entry.total++;
+    if (t.completed) entry.completed++;
+    entry.rate = entry.completed / entry.total;
+  });
+
+  // Weekly totals for the cap and tag budgets: this week only, not everything after it
+  const week = weekRange(today, weekStart);
+  const thisWeek = tasks.filter(t => t.dueDate >= week.start && t.dueDate <= week.end);
+  const weeklyDuration = thisWeek.reduce((sum, t) => sum + plannedMinutes(t), 0);
+  const weeklyTagDurations = {};
+  thisWeek.forEach(t => {
+    weeklyTagDurations[t.tag] = (weeklyTagDurations[t.tag] || 0) + plannedMinutes(t);
+  });
+  const budgets = Object.entries(tagBudgets).map(([tag, budget]) => {
+    const used = weeklyTagDurations[tag] || 0;
+    return { tag, min: budget.min, max: budget.max, used, status: budgetStatus(used, budget) };
+  });
+
+  return {
+    total,
+    totalDuration,
+    completedCount,
+    completedDuration,
+    outstandingDuration,
+    completionRate,
+    subtasks,
+    topTag: topTag ? topTag[0] : '—',
+    tagCounts,
+    tagDurations,
+    tagCompletion,
+    week,
+    weeklyDuration,
+    weeklyCap,
+    weeklyTagDurations,
+    budgets,
+    courses: courseTotals(tasks, courses, { week, sessions }),
+    time: compareTime(tasks, sessions)
+  };
+}
+
+/**
+ * Totals per course, in the order of `courses`. Tasks linked to no course
+ * (or to one not in `courses`) are left out.
+ * @param {{ week: { start, end }, sessions: Array }} options
+ * @returns {Array<{ id, code, name, color, count, completedCount, planned, done, weekly, actual }>}
+ *   `planned`/`done` are minutes (see subtasks.js), `weekly` the minutes due in `week`
+ *   and `actual` the tracked minutes
+ */
+export function courseTotals(tasks, courses, { week, sessions = [] }) {
+  const tracked = trackedMinutes(sessions);
+  return courses.map(course => {
+    const linked = tasks.filter(t => t.courseId === course.id);
+    return {
+      id: course.id,
+      code: course.code,
+      name: course.name,
+      color: course.color,
+      count: linked.length,
+      completedCount: linked.filter(t => t.completed).length,
+      planned: linked.reduce((sum, t) => sum + plannedMinutes(t), 0),
+      done: linked.reduce((sum, t) => sum + doneMinutes(t), 0),
+      weekly: linked.filter(t => t.dueDate >= week.start && t.dueDate <= week.end)
+        .reduce((sum, t) => sum + plannedMinutes(t), 0),
+      actual: linked.reduce((sum, t) => sum + (tracked[sessionKey(t.id, t.occurrenceDate || null)] || 0), 0)
+    };
+  });
+}
+
+/**
+ * Planned vs. tracked minutes. Sessions count towards the task or occurrence
+ * they were timed on; sessions for tasks outside `tasks` are left out.
+ * @returns {{ planned: number, actual: number, byTag: Object<string, { planned, actual }>,
+ *             byTask: Array<{ id, occurrenceDate, title, tag, planned, actual }> }}
+ *   `byTask` holds only tasks with tracked time, most tracked first
+ */
+export function compareTime(tasks, sessions) {
+  const tracked = trackedMinutes(sessions);
+  const byTag = {};
+  const byTask = [];
+  tasks.forEach(t => {
+    const planned = plannedMinutes(t);
+    const actual = tracked[sessionKey(t.id, t.occurrenceDate || null)] || 0;
+    const entry = byTag[t.tag] || (byTag[t.tag] = { planned: 0, actual: 0 });
+    entry.planned += planned;
+    entry.actual += actual;
+    if (actual > 0) {
+      byTask.push({ id: t.id, occurrenceDate: t.occurrenceDate || null, title: t.title, tag: t.tag, planned, actual });
+    }
+  });
+  byTask.sort((a, b) => b.actual - a.actual);
+  return {
+    planned: tasks.reduce((sum, t) => sum + plannedMinutes(t), 0),
+    actual: byTask.reduce((sum, t) => sum + t.actual, 0),
+    byTag,
+    byTask
+  };
+}
+
+/**
+ * @param {string} preset - 'week' | 'month' | 'semester' | 'custom'
+ * @param {string} today - YYYY-MM-DD
+ * @param {{ start?: string, end?: string }} custom - Used for 'custom'
+ * @returns {{ start: string, end: string }}
+ */
+export function resolveRange(preset, today, custom = {}) {
+  if (preset === 'custom') return { start: custom.start, end: custom.end };
+  const days = RANGE_PRESETS[preset] || RANGE_PRESETS.week;
+  return { start: addDays(today, -(days - 1)), end: today };
+}
+
+/**
+ * Check a custom range from the dashboard.
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+export function validateRange({ start, end }) {
+  for (const [name, date] of [['Start', start], ['End', end]]) {
+    const result = validateField('date', date);
+    if (!result.valid) return { valid: false, error: `${name}: ${result.error}` };
+  }
+  if (end < start) return { valid: false, error: 'The range cannot end before it starts.' };
+  if (daysBetween(start, end) + 1 > MAX_RANGE_DAYS) {
+    return { valid: false, error: `Pick a range of at most ${MAX_RANGE_DAYS} days.` };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * The period of the same length that ends the day before `range` starts.
+ */
+export function previousRange({ start, end }) {
+  const length = daysBetween(start, end) + 1;
+  return { start: addDays(start, -length), end: addDays(start, -1) };
+}
+
+/**
+ * Bucket size that keeps the bar count manageable for a range.
+ */
+export function autoBucket({ start, end }) {
+  const days = daysBetween(start, end) + 1;
+  if (days <= 31) return 'day';
+  if (days <= 182) return 'week';
+  return 'month';
+}
+
+/**
+ * First day of the bucket holding `date`.
+ * @param {number} weekStart - 0 = Sunday … 6 = Saturday
+ */
+export function bucketStart(date, bucket, weekStart = 0) {
+  if (bucket === 'day') return date;
+  if (bucket === 'month') return `${date.slice(0, 7)}-01`;
+  return startOfWeek(date, weekStart);
+}
+
+function nextBucket(start, bucket) {
+  if (bucket === 'day') return addDays(start, 1);
+  if (bucket === 'week') return addDays(start, 7);
+  const d = parseDate(start);
+  return formatDate(new Date(d.getFullYear(), d.getMonth() + 1, 1));
+}
+
+function bucketLabel(start, bucket) {
+  const d = parseDate(start);
+  if (bucket === 'day') return d.toLocaleDateString('en', { weekday: 'short', day: 'numeric' });
+  if (bucket === 'week') return d.toLocaleDateString('en', { month: 'short', day: 'numeric' });
+  return d.toLocaleDateString('en', { month: 'short', year: 'numeric' });
+}
+
+function summarize(tasks) {
+  const tagDurations = {};
+  tasks.forEach(t => {
+    tagDurations[t.tag] = (tagDurations[t.tag] || 0) + plannedMinutes(t);
+  });
+  return {
+    duration: tasks.reduce((sum, t) => sum + plannedMinutes(t), 0),
+    completedDuration: tasks.reduce((sum, t) => sum + doneMinutes(t), 0),
+    count: tasks.length,
+    completedCount: tasks.filter(t => t.completed).length,
+    tagDurations
+  };
+}
+
+/**
+ * Trend series and period comparison.
+ * @param {Array} tasks - Occurrences covering the range and the period before it
+ * @param {{ range: { start, end }, bucket: string, weekStart?: number }} options
+ * @returns {{ range, previousRange, bucket, series: Array, tags: string[], totals, previous,
+ *             change: { duration: number, pct: number|null } }}
+ *   Each series entry is { start, end, label } plus totals for its days (clipped to the
+ *   range); `tags` is every tag in the range, most time first; `pct` is null when the
+ *   previous period had nothing planned
+ */
+export function buildAnalytics(tasks, { range, bucket, weekStart = 0 }) {
+  const within = (list, { start, end }) => list.filter(t => t.dueDate >= start && t.dueDate <= end);
+  const current = within(tasks, range);
+  const before = previousRange(range);
+
+  const series = [];
+  for (let start = bucketStart(range.start, bucket, weekStart); start <= range.end; start = nextBucket(start, bucket)) {
+    const span = {
+      start: start < range.start ? range.start : start,
+      end: addDays(nextBucket(start, bucket), -1) > range.end ? range.end : addDays(nextBucket(start, bucket), -1)
+    };
+    series.push({ ...span, label: bucketLabel(start, bucket), ...summarize(within(current, span)) });
+  }
+
+  const totals = summarize(current);
+  const previous = summarize(within(tasks, before));
+  const tags = Object.entries(totals.tagDurations).sort((a, b) => b[1] - a[1]).map(([tag]) => tag);
+  return {
+    range,
+    previousRange: before,
+    bucket,
+    series,
+    tags,
+    totals,
+    previous,
+    change: {
+      duration: totals.duration - previous.duration,
+      pct: previous.duration > 0 ? (totals.duration - previous.duration) / previous.duration : null
+    }
+  };
+}
@@ -8,33 +8,63 @@ import {
   initNav,
   initSearch,
   initSort,
+  initBulkActions,
   initForm,
   initSettings,
+  initDashboard,
+  initCalendar,
+  initReschedule,
+  initHistory,
+  initFocusTimer,
   initConfirm,
+  initRouter,
   renderRecords,
   renderDashboard,
   updateTagSuggestions,
+  refreshAfterSync,
+  reportStorageError,
   announce
 } from './ui.js';
 
 // ===== Initialize App =====
-function init() {
+async function init() {
+  // Load stored data before anything renders
+  await state.init();
+
   // Initialize UI modules
   initNav();
   initSearch();
   initSort();
+  initBulkActions();
   initForm();
   initSettings();
+  initDashboard();
+  initCalendar();
+  initReschedule();
+  initHistory();
+  initFocusTimer();
   initConfirm();
 
+  // Show the page the URL asks for (needs the search and sort controls above)
+  initRouter();
+
   // Initial render
   updateTagSuggestions();
 
   // Listen for state changes to re-render as needed
-  state.onChange((event) => {
-    if (['taskAdded', 'taskUpdated', 'taskDeleted', 'tasksReplaced', 'cleared'].includes(event)) {
+  state.onChange((event, data) => {
+    if (['taskAdded', 'taskUpdated', 'taskDeleted', 'tasksReplaced', 'tasksBatchUpdated', 'cleared'].includes(event)) {
       // Records and dashboard will be re-rendered when navigated to
     }
+    if (event === 'storageError') {
+      reportStorageError(data);
+      return;
+    }
+    if (event === 'synced') {
+      // Another tab changed data: refresh whatever page is showing
+      refreshAfterSync(data);
+      return;
+    }
     if (event === 'settingsUpdated') {
       // Re-render dashboard if visible
       const dashPage = document.querySelector('#dashboard');
@@ -46,7 +76,7 @@ function init() {
 
   // Log ready
   console.log('🎓 Campus Life Planner initialized');
-  console.log(`📋 ${state.tasks.length} tasks loaded`);
+  console.log(`📋 ${state.tasks.length} tasks loaded (${state.backend})`);
 }
 
 // ===== Start =====
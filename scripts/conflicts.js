@@ -0,0 +1,89 @@
+/**
+ * conflicts.js — Schedule conflict & overload detection
+ * Finds timed tasks that overlap on the same day and days whose total
+ * duration goes over the daily cap (settings.dailyCap, minutes; 0 = off).
+ *
+ * Only tasks with a start time can overlap. A task runs from its start time
+ * for `duration` minutes; time past midnight isn't carried into the next day.
+ * Completed tasks never overlap anything, but still count towards a day's total.
+ */
+
+import { timeToMinutes } from './recurrence.js';
+
+/**
+ * Minutes since midnight a task starts and ends, or null for all-day tasks.
+ * @returns {{ start: number, end: number }|null}
+ */
+export function taskSpan(task) {
+  if (!task.startTime) return null;
+  const start = timeToMinutes(task.startTime);
+  return { start, end: Math.min(1440, start + task.duration) };
+}
+
+/**
+ * Whether two outstanding timed tasks on the same day overlap.
+ * Back-to-back tasks (one ends as the next starts) don't.
+ */
+export function tasksOverlap(a, b) {
+  if (a.dueDate !== b.dueDate || a.completed || b.completed) return false;
+  const spanA = taskSpan(a);
+  const spanB = taskSpan(b);
+  if (!spanA || !spanB) return false;
+  // Zero-length tasks still clash with anything running at that moment
+  return spanA.start < Math.max(spanB.end, spanB.start + 1) && spanB.start < Math.max(spanA.end, spanA.start + 1);
+}
+
+function groupByDate(tasks) {
+  const byDate = new Map();
+  tasks.forEach(task => {
+    if (!byDate.has(task.dueDate)) byDate.set(task.dueDate, []);
+    byDate.get(task.dueDate).push(task);
+  });
+  return byDate;
+}
+
+/**
+ * Every overlapping pair and every day over the cap, in date order.
+ * @param {Array} tasks - Tasks or expanded occurrences
+ * @param {{ dailyCap?: number }} options
+ * @returns {{ overlaps: Array<{ date: string, tasks: [object, object] }>,
+ *             overloadedDays: Array<{ date: string, total: number, tasks: Array }> }}
+ */
+export function findConflicts(tasks, { dailyCap = 0 } = {}) {
+  const overlaps = [];
+  const overloadedDays = [];
+
+  [...groupByDate(tasks)].sort(([a], [b]) => (a < b ? -1 : 1)).forEach(([date, dayTasks]) => {
+    const timed = dayTasks
+      .filter(t => t.startTime)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    timed.forEach((a, i) => {
+      timed.slice(i + 1).forEach(b => {
+        if (tasksOverlap(a, b)) overlaps.push({ date, tasks: [a, b] });
+      });
+    });
+
+    const total = dayTasks.reduce((sum, t) => sum + t.duration, 0);
+    if (dailyCap > 0 && total > dailyCap) overloadedDays.push({ date, total, tasks: dayTasks });
+  });
+
+  return { overlaps, overloadedDays };
+}
+
+/**
+ * Check a task that is about to be scheduled against what's already planned.
+ * @param {{ dueDate: string, startTime: string|null, duration: number }} task
+ * @param {Array} tasks - Existing tasks/occurrences (other days are ignored)
+ * @param {{ dailyCap?: number }} options
+ * @returns {{ overlaps: Array, dayTotal: number, overCap: boolean }}
+ *   `dayTotal` includes the new task
+ */
+export function checkSchedule(task, tasks, { dailyCap = 0 } = {}) {
+  const sameDay = tasks.filter(t => t !== task && t.dueDate === task.dueDate);
+  const dayTotal = sameDay.reduce((sum, t) => sum + t.duration, task.duration);
+  return {
+    overlaps: sameDay.filter(t => tasksOverlap(task, t)).sort((a, b) => a.startTime.localeCompare(b.startTime)),
+    dayTotal,
+    overCap: dailyCap > 0 && dayTotal > dailyCap
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * courses.js — Courses tasks can belong to
+ * A course is { id, code, name, instructor, color, termStart, termEnd }, where
+ * the term dates are local YYYY-MM-DD days (the semester it runs in) and
+ * `instructor` may be empty. A task links to one through `courseId` (null for
+ * none); a repeating task's occurrences may link to their own course.
+ *
+ * Pure helpers used by state.js (unlinking), storage.js (checking stored and
+ * imported courses), search/query (matching) and ui.js (labels).
+ */
+
+import { validateField } from './validators.js';
+import { isTagColor } from './tags.js';
+
+export const DEFAULT_COURSE_COLOR = '#4f46e5';
+
+/**
+ * @param {{ code, name, instructor?, color?, termStart, termEnd }} data - Already validated
+ */
+export function createCourse(data) {
+  return {
+    id: `course_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    code: data.code.trim(),
+    name: data.name.trim(),
+    instructor: (data.instructor || '').trim(),
+    color: isTagColor(data.color) ? data.color : DEFAULT_COURSE_COLOR,
+    termStart: data.termStart,
+    termEnd: data.termEnd
+  };
+}
+
+/**
+ * "CS 101", "cs-101" and "CS101" are the same course code.
+ */
+export function normalizeCode(code) {
+  return String(code).replace(/[ -]/g, '').toUpperCase();
+}
+
+/**
+ * The course with `id`, or null.
+ */
+export function findCourse(courses, id) {
+  return (id && courses.find(c => c.id === id)) || null;
+}
+
+/**
+ * Courses a `course:` search term names: by code ("cs101" finds "CS 101"),
+ * else by a name containing the text.
+ */
+export function matchCourses(courses, text) {
+  const byCode = courses.filter(c => normalizeCode(c.code) === normalizeCode(text));
+  if (byCode.length > 0) return byCode;
+  const lower = text.toLowerCase();
+  return courses.filter(c => c.name.toLowerCase().includes(lower));
+}
+
+/**
+ * Whether the course's term holds `date` (YYYY-MM-DD).
+ */
+export function inTerm(course, date) {
+  return date >= course.termStart && date <= course.termEnd;
+}
+
+/**
+ * Courses in the order pickers and Settings list them: current and upcoming
+ * terms first, then past ones, each by term start and code.
+ */
+export function sortCourses(courses, today) {
+  return [...courses].sort((a, b) =>
+    (a.termEnd < today) - (b.termEnd < today) ||
+    a.termStart.localeCompare(b.termStart) ||
+    a.code.localeCompare(b.code));
+}
+
+/**
+ * Number of tasks linked to each course (a repeating series counts once).
+ * Occurrences linked on their own count towards their own course as well.
+ * @returns {Object<string, number>} Keyed by course id
+ */
+export function countCourseTasks(tasks) {
+  const counts = {};
+  tasks.forEach(task => {
+    const ids = new Set([task.courseId]);
+    Object.values(task.exceptions || {}).forEach(change => {
+      if (change && change.courseId) ids.add(change.courseId);
+    });
+    ids.forEach(id => {
+      if (id) counts[id] = (counts[id] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Check the Settings form for a course.
+ * @param {{ code, name, instructor, termStart, termEnd }} data
+ * @returns {{ valid: boolean, errors: Object<string, string> }}
+ */
+export function validateCourseForm(data) {
+  const errors = {};
+  const checks = [['code', 'courseCode'], ['name', 'courseName'], ['instructor', 'instructor'],
+    ['termStart', 'date'], ['termEnd', 'date']];
+  checks.forEach(([key, field]) => {
+    const result = validateField(field, data[key] || '');
+    if (!result.valid) errors[key] = result.error;
+  });
+  if (!errors.termStart && !errors.termEnd && data.termEnd < data.termStart) {
+    errors.termEnd = 'The term cannot end before it starts.';
+  }
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Validate and normalize one stored or imported course.
+ * @returns {{ course: object|null, issues: string[] }}
+ */
+export function validateCourse(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { course: null, issues: ['not a valid object'] };
+  }
+  const issues = [];
+  if (typeof item.id !== 'string' || !item.id.trim()) issues.push('missing or invalid id');
+  const strings = ['code', 'name', 'termStart', 'termEnd'].every(k => typeof item[k] === 'string');
+  if (!strings || (item.instructor != null && typeof item.instructor !== 'string')) {
+    issues.push('missing or invalid code, name, instructor or term dates');
+  } else {
+    const { errors } = validateCourseForm(item);
+    Object.values(errors).forEach(error => issues.push(error));
+  }
+  if (item.color != null && !isTagColor(item.color)) issues.push('invalid color (must be #rrggbb)');
+  if (issues.length > 0) return { course: null, issues };
+
+  return { course: { ...createCourse(item), id: item.id }, issues };
+}
+
+/**
+ * Validate a list of courses, keeping the last one of any duplicate id.
+ * @returns {{ courses: Array, errors: string[] }}
+ */
+export function validateCourses(list) {
+  if (list == null) return { courses: [], errors: [] };
+  if (!Array.isArray(list)) return { courses: [], errors: ['Courses must be an array.'] };
+
+  const byId = new Map();
+  const errors = [];
+  list.forEach((item, i) => {
+    const { course, issues } = validateCourse(item);
+    if (course) byId.set(course.id, course);
+    else errors.push(`Course ${i} (${(item && item.code) || 'no code'}): ${issues.join(', ')}`);
+  });
+  return { courses: [...byId.values()], errors };
+}
+
+/**
+ * Drop links to courses not in `courses`, from tasks and their per-occurrence
+ * changes alike. Untouched tasks keep their identity.
+ * @param {Array} tasks
+ * @param {Array} courses
+ * @param {string} now - ISO timestamp for updatedAt
+ * @returns {{ tasks: Array, count: number }} `count` is the number of tasks changed
+ */
+export function dropUnknownCourses(tasks, courses, now = new Date().toISOString()) {
+  const known = new Set(courses.map(c => c.id));
+  const dangling = id => id != null && !known.has(id);
+  let count = 0;
+  const result = tasks.map(task => {
+    let changed = dangling(task.courseId);
+    const exceptions = { ...(task.exceptions || {}) };
+    Object.keys(exceptions).forEach(date => {
+      if (exceptions[date] && dangling(exceptions[date].courseId)) {
+        exceptions[date] = { ...exceptions[date], courseId: null };
+        changed = true;
+      }
+    });
+    if (!changed) return task;
+    count++;
+    return {
+      ...task,
+      courseId: dangling(task.courseId) ? null : task.courseId,
+      exceptions,
+      updatedAt: now
+    };
+  });
+  return { tasks: result, count };
+}
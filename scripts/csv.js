@@ -0,0 +1,267 @@
+/**
+ * csv.js — CSV export & import
+ * Writes tasks as RFC 4180 CSV for spreadsheets and reads spreadsheet CSVs
+ * back through a column mapping, running each row through the same
+ * validation as JSON imports.
+ */
+
+import { validateTask } from './storage.js';
+import { describeRecurrence } from './recurrence.js';
+import { extractTime } from './validators.js';
+import { isValidDate } from './dates.js';
+
+// Export columns, in order
+const COLUMNS = ['id', 'title', 'dueDate', 'duration', 'tag', 'notes', 'completed', 'completedAt', 'repeat', 'startTime', 'priority'];
+
+/**
+ * Task fields a CSV column can be mapped to.
+ * `match` guesses the column from its header; required fields must be mapped.
+ */
+export const CSV_FIELDS = [
+  { field: 'title', label: 'Title', required: true, match: /^(title|task|name|summary|subject)$/i },
+  { field: 'dueDate', label: 'Date', required: true, match: /^(due ?date|due|date|day|deadline)$/i },
+  { field: 'duration', label: 'Duration', required: true, match: /^(duration|minutes|mins?|time|hours?|hrs)$/i },
+  { field: 'startTime', label: 'Start time', required: false, match: /^(start ?time|start|starts? at|time of day)$/i },
+  { field: 'tag', label: 'Tag', required: false, match: /^(tag|category|course|subject area|type)$/i },
+  { field: 'priority', label: 'Priority', required: false, match: /^(priority|prio|importance)$/i },
+  { field: 'notes', label: 'Notes', required: false, match: /^(notes?|description|details|comments?)$/i },
+  { field: 'id', label: 'ID', required: false, match: /^(id|uid)$/i },
+  { field: 'completed', label: 'Completed', required: false, match: /^(completed|done|status)$/i },
+  { field: 'completedAt', label: 'Completed at', required: false, match: /^(completed ?(at|on)|done (at|on)|completion date)$/i }
+];
+
+/**
+ * Supported date formats. DMY/MDY use `/`, `.` or `-` as separator.
+ */
+export const DATE_FORMATS = {
+  'YYYY-MM-DD': /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/,
+  'DD/MM/YYYY': /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/,
+  'MM/DD/YYYY': /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/
+};
+
+// ===== Export =====
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@]/;
+
+/**
+ * Quote a cell for CSV. Text that would start a formula gets a leading `'`,
+ * which spreadsheets show as text; importCSV drops it again.
+ */
+function quoteCell(value) {
+  const raw = value == null ? '' : String(value);
+  const str = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize tasks as CSV (header row + one row per task).
+ * Occurrences of a recurring task get an `id@date` id so each row stays unique.
+ * @param {Array} tasks - Tasks or expanded occurrences
+ * @returns {string}
+ */
+export function exportCSV(tasks) {
+  const rows = tasks.map(task => [
+    task.occurrenceDate ? `${task.id}@${task.occurrenceDate}` : task.id,
+    task.title,
+    task.dueDate,
+    task.duration,
+    task.tag,
+    task.notes || '',
+    task.completed ? 'true' : 'false',
+    task.completedAt || '',
+    // Repeat rule is informational only; occurrences are already dated rows
+    task.occurrenceDate ? '' : describeRecurrence(task.recurrence),
+    task.startTime || '',
+    task.priority || ''
+  ].map(quoteCell).join(','));
+  return [COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// ===== Parsing =====
+/**
+ * Pick the delimiter (comma, semicolon or tab) that splits the header line into the most columns.
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t'].reduce((best, d) =>
+    header.split(d).length > header.split(best).length ? d : best, ',');
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of cell strings).
+ * Handles quoted cells with embedded delimiters, quotes and newlines, and a leading BOM.
+ */
+export function parseCSV(text) {
+  const src = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Guess a column mapping from header names.
+ * @param {string[]} headers
+ * @returns {Object<string, number>} field → column index (-1 when unmapped)
+ */
+export function guessMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  CSV_FIELDS.forEach(({ field, match }) => {
+    const index = headers.findIndex((h, i) => !used.has(i) && (match.test(h.trim()) || h.trim() === field));
+    mapping[field] = index;
+    if (index !== -1) used.add(index);
+  });
+  return mapping;
+}
+
+// ===== Dates =====
+/**
+ * Detect the date format used by a column of values.
+ * Day-first vs month-first is decided by any part greater than 12;
+ * when every value is ambiguous, day-first is assumed and `ambiguous` is set.
+ * @returns {{ format: string|null, ambiguous: boolean }}
+ */
+export function detectDateFormat(values) {
+  const samples = values.map(v => v.trim()).filter(Boolean);
+  if (samples.length === 0) return { format: null, ambiguous: false };
+  if (samples.every(v => DATE_FORMATS['YYYY-MM-DD'].test(v))) return { format: 'YYYY-MM-DD', ambiguous: false };
+
+  const parts = samples.map(v => v.match(DATE_FORMATS['DD/MM/YYYY'])).filter(Boolean);
+  if (parts.length === 0) return { format: null, ambiguous: false };
+  if (parts.some(([, a]) => Number(a) > 12)) return { format: 'DD/MM/YYYY', ambiguous: false };
+  if (parts.some(([, , b]) => Number(b) > 12)) return { format: 'MM/DD/YYYY', ambiguous: false };
+  return { format: 'DD/MM/YYYY', ambiguous: true };
+}
+
+/**
+ * Convert a date cell to YYYY-MM-DD using the given format. Returns null when
+ * it doesn't match or names a day that doesn't exist (31/02/2025).
+ */
+export function parseDateValue(value, format) {
+  const m = String(value).trim().match(DATE_FORMATS[format] || /$^/);
+  if (!m) return null;
+  let y, mo, d;
+  if (format === 'YYYY-MM-DD') [, y, mo, d] = m;
+  else if (format === 'DD/MM/YYYY') [, d, mo, y] = m;
+  else [, mo, d, y] = m;
+  const date = `${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}`;
+  return isValidDate(date) ? date : null;
+}
+
+/**
+ * Read a duration cell as minutes: "90", "1.5h", "1h 30m", "45 min" or "1:30".
+ * Bare numbers are read in `unit` ('minutes' or 'hours'). Returns NaN when unreadable.
+ */
+export function parseDurationValue(value, unit = 'minutes') {
+  const str = String(value).trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(str)) return unit === 'hours' ? Math.round(Number(str) * 60) : Number(str);
+  const clock = str.match(/^(\d+):([0-5]\d)$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const units = str.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/);
+  if (units && (units[1] || units[2])) return Math.round(Number(units[1] || 0) * 60 + Number(units[2] || 0));
+  return NaN;
+}
+
+// ===== Import =====
+/**
+ * Guess whether bare numbers in the duration column are hours, from its header.
+ */
+export function guessDurationUnit(header = '') {
+  return /^(hours?|hrs?)$|\(h(ou)?rs?\)/i.test(header.trim()) ? 'hours' : 'minutes';
+}
+
+/**
+ * Convert parsed CSV rows (header first) into validated tasks.
+ * Mirrors validateImport: { valid, data, errors } with one error per rejected row.
+ * @param {string[][]} rows - Output of parseCSV
+ * @param {Object<string, number>} mapping - field → column index, see guessMapping
+ * @param {{ dateFormat: string, durationUnit?: 'minutes'|'hours' }} options
+ */
+export function importCSV(rows, mapping, { dateFormat, durationUnit = 'minutes' }) {
+  const missing = CSV_FIELDS.filter(f => f.required && !(mapping[f.field] >= 0));
+  if (missing.length > 0) {
+    return { valid: false, data: [], errors: [`Map a column to ${missing.map(f => f.label).join(', ')}.`] };
+  }
+
+  const errors = [];
+  const data = [];
+  const stamp = Date.now();
+  const firstRow = new Map();  // id → row that brought it
+  const cell = (row, field) => {
+    const value = mapping[field] >= 0 ? (row[mapping[field]] ?? '').trim() : '';
+    // Undo quoteCell's formula guard
+    return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+  };
+
+  rows.slice(1).forEach((row, i) => {
+    // Row numbers match the spreadsheet (header is row 1)
+    const rowNumber = i + 2;
+    const rawDate = cell(row, 'dueDate');
+    const dueDate = parseDateValue(rawDate, dateFormat);
+    const minutes = parseDurationValue(cell(row, 'duration'), durationUnit);
+    const completed = /^(true|yes|y|1|done|completed|x|✓)$/i.test(cell(row, 'completed'));
+    // "10:30", "10:30 AM" and "2:15pm" all become 24-hour HH:MM
+    const rawTime = cell(row, 'startTime');
+    const rawCompletedAt = cell(row, 'completedAt');
+    const completedAt = Date.parse(rawCompletedAt);
+
+    const { task, issues } = validateTask({
+      id: cell(row, 'id') || `task_${stamp}_${i}`,
+      title: cell(row, 'title'),
+      dueDate: dueDate || rawDate,
+      startTime: rawTime ? (extractTime(rawTime) || rawTime) : null,
+      duration: Number.isNaN(minutes) ? null : minutes,
+      tag: cell(row, 'tag') || 'Other',
+      priority: cell(row, 'priority').toLowerCase() || undefined,
+      notes: cell(row, 'notes'),
+      completed,
+      completedAt: rawCompletedAt ? (isNaN(completedAt) ? rawCompletedAt : new Date(completedAt).toISOString()) : null
+    });
+
+    if (issues.length > 0) {
+      errors.push(`Row ${rowNumber} (${cell(row, 'title') || 'no title'}): ${issues.join(', ')}`);
+    } else if (firstRow.has(task.id)) {
+      errors.push(`Row ${rowNumber} (${task.title}): same id as row ${firstRow.get(task.id)}; skipped`);
+    } else {
+      firstRow.set(task.id, rowNumber);
+      data.push(task);
+    }
+  });
+
+  if (data.length === 0 && errors.length === 0) {
+    errors.push('The file has no data rows.');
+  }
+
+  return { valid: errors.length === 0, data, errors };
+}
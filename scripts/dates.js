@@ -0,0 +1,67 @@
+/**
+ * dates.js — Local calendar dates
+ * Due dates are plain YYYY-MM-DD days in the user's own timezone. Turning a
+ * moment into a day (today, week windows, stats buckets) always uses the
+ * local getters here; toISOString() gives the UTC day, which is a day off
+ * for part of every day anywhere east or west of UTC.
+ */
+
+// Settings.weekStart values: 0 = Sunday, 1 = Monday
+export const WEEK_STARTS = [0, 1];
+
+export function parseDate(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function formatDate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/**
+ * The local day `now` falls on.
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export function localToday(now = new Date()) {
+  return formatDate(now);
+}
+
+export function addDays(dateStr, days) {
+  const d = parseDate(dateStr);
+  d.setDate(d.getDate() + days);
+  return formatDate(d);
+}
+
+export function daysBetween(fromStr, toStr) {
+  return Math.round((parseDate(toStr) - parseDate(fromStr)) / 86400000);
+}
+
+/**
+ * Whether a YYYY-MM-DD string names a real day (no Feb 30).
+ */
+export function isValidDate(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+/**
+ * First day of the week holding `dateStr`.
+ * @param {number} weekStart - 0 = Sunday … 6 = Saturday
+ */
+export function startOfWeek(dateStr, weekStart = 0) {
+  return addDays(dateStr, -((parseDate(dateStr).getDay() - weekStart + 7) % 7));
+}
+
+/**
+ * The whole week (7 days, inclusive) holding `dateStr`.
+ * @returns {{ start: string, end: string }}
+ */
+export function weekRange(dateStr, weekStart = 0) {
+  const start = startOfWeek(dateStr, weekStart);
+  return { start, end: addDays(start, 6) };
+}
@@ -0,0 +1,70 @@
+/**
+ * history.js — Undo steps for the task list
+ * An undo step doesn't copy the whole list. It keeps a patch that turns the
+ * list back: the old version of each task that changed, the tasks that went
+ * away (with their position) and the ids that were added. AppState never
+ * changes a task object in place, so a task whose object differs has changed.
+ *
+ *   { put: [task], insert: [{ index, task }], remove: [id], order: [id]|null }
+ *
+ * `order` is only set when the tasks on both sides changed their relative order.
+ */
+
+import { migrateTasks } from './migrations.js';
+
+const copy = (task) => JSON.parse(JSON.stringify(task));
+
+/**
+ * The patch that turns `from` into `to`.
+ * @param {Array} from
+ * @param {Array} to
+ * @returns {{ put: Array, insert: Array<{ index: number, task: object }>, remove: string[], order: string[]|null }}
+ */
+export function diffTasks(from, to) {
+  const fromById = new Map(from.map(t => [t.id, t]));
+  const toIds = new Set(to.map(t => t.id));
+
+  const put = to.filter(t => fromById.has(t.id) && fromById.get(t.id) !== t).map(copy);
+  const insert = [];
+  to.forEach((task, index) => {
+    if (!fromById.has(task.id)) insert.push({ index, task: copy(task) });
+  });
+  const remove = from.filter(t => !toIds.has(t.id)).map(t => t.id);
+
+  const keptFrom = from.filter(t => toIds.has(t.id)).map(t => t.id);
+  const keptTo = to.filter(t => fromById.has(t.id)).map(t => t.id);
+  const moved = keptFrom.some((id, i) => id !== keptTo[i]);
+  return { put, insert, remove, order: moved ? to.map(t => t.id) : null };
+}
+
+/**
+ * Apply a patch from diffTasks. Tasks the patch doesn't mention keep their
+ * objects; a changed task whose id is gone (e.g. another tab deleted it) stays gone.
+ * @returns {Array} A new list
+ */
+export function patchTasks(tasks, { put = [], insert = [], remove = [], order = null }) {
+  const removed = new Set(remove);
+  const replaced = new Map(put.map(t => [t.id, t]));
+  const result = tasks.filter(t => !removed.has(t.id)).map(t => replaced.get(t.id) || t);
+
+  [...insert].sort((a, b) => a.index - b.index).forEach(({ index, task }) => {
+    result.splice(Math.min(index, result.length), 0, task);
+  });
+  if (!order) return result;
+
+  const position = new Map(order.map((id, i) => [id, i]));
+  const rank = (task) => (position.has(task.id) ? position.get(task.id) : order.length);
+  return result.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Upgrade the tasks a stored patch holds. See migrateTasks.
+ */
+export function migratePatch(patch, fromVersion) {
+  const inserted = migrateTasks(patch.insert.map(i => i.task), fromVersion);
+  return {
+    ...patch,
+    put: migrateTasks(patch.put, fromVersion),
+    insert: patch.insert.map((item, i) => ({ index: item.index, task: inserted[i] }))
+  };
+}
@@ -0,0 +1,448 @@
+/**
+ * ical.js — iCalendar (.ics) export & import
+ * Converts tasks to VEVENT/VTODO components and parses .ics files back into
+ * tasks, running each entry through the same validation as JSON imports.
+ *
+ * Field mapping:
+ *   id → UID, title → SUMMARY, dueDate → DTSTART (events) / DUE (to-dos),
+ *   startTime → time of DTSTART/DTEND or DUE (all-day without one),
+ *   duration → X-CLP-DURATION (+ DURATION when reading other calendars),
+ *   tag → CATEGORIES, notes → DESCRIPTION, recurrence → RRULE + EXDATE,
+ *   changed occurrences → override components with RECURRENCE-ID,
+ *   priority → PRIORITY (critical 1, high 3, medium 5, low 9)
+ */
+
+import { validateTask } from './storage.js';
+import { addMinutes, expandTask } from './recurrence.js';
+import { addDays, formatDate } from './dates.js';
+import { DEFAULT_PRIORITY } from './priority.js';
+
+const PRODID = '-//Campus Life Planner//EN';
+const SUPPORTED = ['VEVENT', 'VTODO'];
+// Components that may legitimately appear in a calendar but carry no tasks
+const IGNORED = ['VCALENDAR', 'VTIMEZONE', 'STANDARD', 'DAYLIGHT', 'VALARM'];
+
+const RRULE_FREQ = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// PRIORITY runs 1 (highest) … 9 (lowest); 0 means undefined
+const ICS_PRIORITY = { critical: 1, high: 3, medium: 5, low: 9 };
+
+// ===== Text helpers =====
+function escapeText(str) {
+  return String(str)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Task id for a UID. Ids end up in URLs and markup, so any character outside
+ * a conservative set is spelled out as _hex_; the same UID always gives the
+ * same id, so re-importing a calendar still matches its tasks.
+ */
+function uidToId(uid) {
+  return uid.replace(/[^\w.@:+/=-]/gu, c => `_${c.codePointAt(0).toString(16)}_`);
+}
+
+function unescapeText(str) {
+  return str.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 §3.1). Octets are
+ * counted in UTF-8 and a character is never split across lines.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const cp = char.codePointAt(0);
+    const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (octets + size > 75) {
+      parts.push(current);
+      // Continuation lines start with a space, which counts towards their 75
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function toICSDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+/**
+ * Floating local date-time (no time zone), e.g. 20250101T103000.
+ */
+function toICSDateTime(dateStr, time) {
+  return `${toICSDate(dateStr)}T${time.replace(':', '')}00`;
+}
+
+function toICSTimestamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ===== Export =====
+/**
+ * A date as the same value type as the task's DTSTART/DUE, which UNTIL and
+ * EXDATE must match: a date-time at the start time for timed tasks.
+ */
+function toICSValue(dateStr, startTime) {
+  return startTime ? toICSDateTime(dateStr, startTime) : toICSDate(dateStr);
+}
+
+function buildRRule(rule, startTime) {
+  const parts = [`FREQ=${RRULE_FREQ[rule.freq]}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'weekly' && rule.weekdays && rule.weekdays.length > 0) {
+    parts.push(`BYDAY=${rule.weekdays.map(d => BYDAY[d]).join(',')}`);
+  }
+  // UNTIL and COUNT are mutually exclusive in iCalendar; the date is kept
+  if (rule.until) parts.push(`UNTIL=${toICSValue(rule.until, startTime)}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+/**
+ * Content lines of one VEVENT/VTODO, with `extra` (repeat rule, RECURRENCE-ID)
+ * before the END line.
+ */
+function componentLines(task, component, now, extra = []) {
+  const lines = [`BEGIN:${component}`, `UID:${escapeText(task.id)}`, `DTSTAMP:${now}`, `SUMMARY:${escapeText(task.title)}`];
+
+  if (component === 'VTODO') {
+    lines.push(task.startTime
+      ? `DUE:${toICSDateTime(task.dueDate, task.startTime)}`
+      : `DUE;VALUE=DATE:${toICSDate(task.dueDate)}`);
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.completed && task.completedAt) lines.push(`COMPLETED:${toICSTimestamp(task.completedAt)}`);
+  } else if (task.startTime) {
+    const end = addMinutes(task.dueDate, task.startTime, task.duration);
+    lines.push(`DTSTART:${toICSDateTime(task.dueDate, task.startTime)}`);
+    lines.push(`DTEND:${toICSDateTime(end.date, end.time)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${toICSDate(task.dueDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${toICSDate(addDays(task.dueDate, 1))}`);
+  }
+
+  lines.push(`X-CLP-DURATION:PT${Math.round(task.duration)}M`);
+  lines.push(`CATEGORIES:${escapeText(task.tag)}`);
+  lines.push(`PRIORITY:${ICS_PRIORITY[task.priority] || ICS_PRIORITY[DEFAULT_PRIORITY]}`);
+  if (task.notes) lines.push(`DESCRIPTION:${escapeText(task.notes)}`);
+  if (task.createdAt) lines.push(`CREATED:${toICSTimestamp(task.createdAt)}`);
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${toICSTimestamp(task.updatedAt)}`);
+  return [...lines, ...extra, `END:${component}`];
+}
+
+/**
+ * Serialize tasks as an iCalendar document. A repeating task's skipped
+ * occurrences become EXDATEs and its otherwise changed occurrences (moved,
+ * edited, completed) override events with RECURRENCE-ID.
+ * @param {Array} tasks - Task objects
+ * @param {'VEVENT'|'VTODO'} component - Events show in phone calendars; to-dos keep completion state
+ * @returns {string}
+ */
+export function exportICS(tasks, component = 'VEVENT') {
+  const now = toICSTimestamp(new Date().toISOString());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN'];
+
+  tasks.forEach(task => {
+    if (!task.recurrence) {
+      lines.push(...componentLines(task, component, now));
+      return;
+    }
+
+    const exceptions = task.exceptions || {};
+    const dates = Object.keys(exceptions);
+    const skipped = dates.filter(d => exceptions[d].skipped);
+    const repeat = [`RRULE:${buildRRule(task.recurrence, task.startTime)}`];
+    if (skipped.length > 0) {
+      const values = skipped.map(d => toICSValue(d, task.startTime)).join(',');
+      repeat.push(task.startTime ? `EXDATE:${values}` : `EXDATE;VALUE=DATE:${values}`);
+    }
+    lines.push(...componentLines(task, component, now, repeat));
+
+    // RECURRENCE-ID names the original date, in the series' value type
+    dates.filter(d => !exceptions[d].skipped).forEach(date => {
+      const occurrence = expandTask(task, date, date)[0];
+      if (!occurrence) return;
+      const id = task.startTime ? `RECURRENCE-ID:${toICSValue(date, task.startTime)}` : `RECURRENCE-ID;VALUE=DATE:${toICSDate(date)}`;
+      lines.push(...componentLines(occurrence, component, now, [id]));
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ===== Import =====
+/**
+ * Split an .ics document into unfolded content lines of { name, params, value }.
+ */
+function parseLines(text) {
+  const unfolded = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+  return unfolded.split('\n').filter(Boolean).map(line => {
+    // Property name and params end at the first colon outside quotes
+    let colon = -1;
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') quoted = !quoted;
+      if (line[i] === ':' && !quoted) { colon = i; break; }
+    }
+    const head = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1);
+    const [name, ...paramParts] = head.split(';');
+    const params = {};
+    paramParts.forEach(p => {
+      const [k, v = ''] = p.split('=');
+      params[k.toUpperCase()] = v.replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value };
+  });
+}
+
+/**
+ * Read a DATE or DATE-TIME value as a local YYYY-MM-DD date.
+ * UTC times (…Z) are converted to the local day; floating/TZID times keep their date.
+ */
+function parseICSDate(value) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, sec, utc] = m;
+  if (utc) return formatDate(new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +sec)));
+  return `${y}-${mo}-${d}`;
+}
+
+/**
+ * PRIORITY (1 highest … 9 lowest, anything else undefined) → priority.
+ */
+function parseICSPriority(value) {
+  const n = parseInt(value, 10);
+  if (!(n >= 1 && n <= 9)) return DEFAULT_PRIORITY;
+  if (n <= 2) return 'critical';
+  if (n <= 4) return 'high';
+  return n === 5 ? 'medium' : 'low';
+}
+
+/**
+ * Local HH:MM of a DATE-TIME value (null for all-day DATE values).
+ */
+function parseICSTime(value) {
+  if (!/T\d{6}Z?$/.test(value)) return null;
+  const dt = parseICSDateTime(value);
+  return dt ? `${String(dt.getHours()).padStart(2, '0')}:${String(dt.getMinutes()).padStart(2, '0')}` : null;
+}
+
+function parseICSDateTime(value) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = '00', mi = '00', sec = '00', utc] = m;
+  return utc
+    ? new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +sec))
+    : new Date(+y, mo - 1, +d, +h, +mi, +sec);
+}
+
+/**
+ * ISO 8601 duration (P1DT2H30M, PT90M, P1W) → minutes.
+ */
+function parseICSDuration(value) {
+  const m = value.match(/^[+-]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, w = 0, d = 0, h = 0, mi = 0, s = 0] = m;
+  return Number(w) * 10080 + Number(d) * 1440 + Number(h) * 60 + Number(mi) + Math.round(Number(s) / 60);
+}
+
+/**
+ * RRULE → recurrence rule. Returns { rule } or { error } for rules this app can't represent.
+ */
+function parseRRule(value) {
+  const parts = Object.fromEntries(value.split(';').map(p => p.split('=')));
+  const freq = Object.keys(RRULE_FREQ).find(k => RRULE_FREQ[k] === (parts.FREQ || '').toUpperCase());
+  if (!freq) return { error: `unsupported repeat frequency ${parts.FREQ || '(none)'}` };
+
+  const rule = { freq, interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1 };
+  if (parts.BYDAY) {
+    if (freq !== 'weekly') return { error: `BYDAY is only supported on weekly rules` };
+    const days = parts.BYDAY.split(',').map(d => BYDAY.indexOf(d.toUpperCase()));
+    if (days.includes(-1)) return { error: `unsupported BYDAY value ${parts.BYDAY}` };
+    rule.weekdays = days;
+  }
+  const unsupported = Object.keys(parts).filter(k => !['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT', 'WKST'].includes(k));
+  if (unsupported.length > 0) return { error: `unsupported repeat rule part ${unsupported.join(', ')}` };
+  if (parts.UNTIL) rule.until = parseICSDate(parts.UNTIL);
+  if (parts.COUNT) rule.count = parseInt(parts.COUNT, 10);
+  return { rule };
+}
+
+/**
+ * Turn one VEVENT/VTODO property list into a raw task object.
+ */
+function componentToTask(type, props, index) {
+  const first = name => props.find(p => p.name === name);
+  const text = name => (first(name) ? unescapeText(first(name).value) : '');
+
+  const start = first('DTSTART');
+  const due = first('DUE');
+  const dateProp = type === 'VTODO' ? (due || start) : (start || due);
+
+  // Duration: our own field first, then DURATION, then the span of a timed event
+  let duration = 0;
+  const own = first('X-CLP-DURATION');
+  const std = first('DURATION');
+  if (own) {
+    duration = parseICSDuration(own.value);
+  } else if (std) {
+    duration = parseICSDuration(std.value);
+  } else if (start && first('DTEND') && start.value.includes('T')) {
+    const span = parseICSDateTime(first('DTEND').value) - parseICSDateTime(start.value);
+    duration = Number.isNaN(span) ? null : Math.max(0, Math.round(span / 60000));
+  }
+
+  const status = (text('STATUS') || '').toUpperCase();
+  const completedProp = first('COMPLETED');
+  const created = first('CREATED');
+  const modified = first('LAST-MODIFIED') || first('DTSTAMP');
+
+  const task = {
+    id: text('UID') ? uidToId(text('UID')) : `ics_${Date.now()}_${index}`,
+    title: text('SUMMARY'),
+    dueDate: dateProp ? parseICSDate(dateProp.value) : null,
+    startTime: dateProp ? parseICSTime(dateProp.value) : null,
+    duration,
+    // CATEGORIES may list several; the first becomes the tag
+    tag: (unescapeText((first('CATEGORIES') || { value: '' }).value).split(',')[0] || 'Other').trim() || 'Other',
+    notes: text('DESCRIPTION'),
+    priority: first('PRIORITY') ? parseICSPriority(first('PRIORITY').value) : DEFAULT_PRIORITY,
+    completed: type === 'VTODO' && status === 'COMPLETED',
+    completedAt: completedProp ? parseICSDateTime(completedProp.value)?.toISOString() || null : null,
+    createdAt: created ? parseICSDateTime(created.value)?.toISOString() : undefined,
+    updatedAt: modified ? parseICSDateTime(modified.value)?.toISOString() : undefined
+  };
+
+  const rrule = first('RRULE');
+  if (rrule) {
+    const { rule, error } = parseRRule(rrule.value);
+    if (error) return { task: null, issues: [error] };
+    task.recurrence = rule;
+    task.exceptions = {};
+    props.filter(p => p.name === 'EXDATE').forEach(p => {
+      p.value.split(',').map(parseICSDate).filter(Boolean).forEach(date => {
+        task.exceptions[date] = { skipped: true };
+      });
+    });
+  }
+
+  return { task, issues: [] };
+}
+
+// Fields an override event can change for its occurrence
+const OCCURRENCE_FIELDS = ['title', 'dueDate', 'startTime', 'duration', 'tag', 'priority', 'notes', 'completed', 'completedAt'];
+
+/**
+ * Fold an override (an entry with RECURRENCE-ID) into its series in `tasks`
+ * as a per-occurrence change holding only what differs from the series.
+ * A cancelled override skips the occurrence.
+ * @returns {string[]} Issues; empty when the override was applied
+ */
+function applyOverride(tasks, { type, props, entry }) {
+  const converted = componentToTask(type, props, entry);
+  if (!converted.task) return converted.issues;
+  const series = tasks.get(converted.task.id);
+  if (!series || !series.recurrence) return ['changes one occurrence of a repeating entry that is not in the file; skipped'];
+
+  const date = parseICSDate(props.find(p => p.name === 'RECURRENCE-ID').value);
+  const expected = date && expandTask({ ...series, exceptions: {} }, date, date)[0];
+  if (!expected) return [`RECURRENCE-ID ${date || 'value'} is not a date the series repeats on; skipped`];
+
+  let change;
+  if ((props.find(p => p.name === 'STATUS')?.value || '').toUpperCase() === 'CANCELLED') {
+    change = { skipped: true };
+  } else {
+    const { task, issues } = validateTask({ ...converted.task, recurrence: null });
+    if (issues.length > 0) return issues;
+    change = Object.fromEntries(OCCURRENCE_FIELDS
+      .filter(field => JSON.stringify(task[field]) !== JSON.stringify(expected[field]))
+      .map(field => [field, task[field]]));
+  }
+  const exceptions = { ...series.exceptions, [date]: { ...(series.exceptions[date] || {}), ...change } };
+  tasks.set(series.id, { ...series, exceptions });
+  return [];
+}
+
+/**
+ * Parse an .ics document into validated tasks.
+ * Mirrors validateImport: { valid, data, errors } with one error per rejected entry.
+ * Entries with RECURRENCE-ID become per-occurrence changes of their series;
+ * a UID that repeats otherwise is an error.
+ */
+export function importICS(text) {
+  if (typeof text !== 'string' || !/^\s*BEGIN:VCALENDAR/i.test(text)) {
+    return { valid: false, data: [], errors: ['Not an iCalendar file (missing BEGIN:VCALENDAR).'] };
+  }
+
+  const errors = [];
+  const components = [];
+  const stack = [];
+  let current = null;
+  let entry = 0;
+
+  parseLines(text).forEach(line => {
+    if (line.name === 'BEGIN') {
+      const type = line.value.toUpperCase();
+      stack.push(type);
+      // Only top-level components inside VCALENDAR are entries
+      if (stack.length === 2) {
+        entry++;
+        current = { type, props: [], entry };
+      }
+      return;
+    }
+    if (line.name === 'END') {
+      const type = stack.pop();
+      if (stack.length === 1 && current) {
+        if (SUPPORTED.includes(type)) components.push(current);
+        else if (!IGNORED.includes(type)) errors.push(`Entry ${entry} (${type}): unsupported component, only VEVENT and VTODO can be imported.`);
+        current = null;
+      }
+      return;
+    }
+    // Properties of nested components (e.g. VALARM) are not task fields
+    if (current && stack.length === 2) current.props.push(line);
+  });
+
+  const uidOf = ({ props }) => props.find(p => p.name === 'UID')?.value || 'no-uid';
+  const isOverride = ({ props }) => props.some(p => p.name === 'RECURRENCE-ID');
+
+  // Series and one-off entries first, so overrides can find their series
+  const tasks = new Map();       // id → task
+  const firstEntry = new Map();  // id → entry that brought it
+  components.filter(c => !isOverride(c)).forEach(component => {
+    const converted = componentToTask(component.type, component.props, component.entry);
+    const { task, issues } = converted.task ? validateTask(converted.task) : converted;
+    if (issues.length > 0) {
+      errors.push(`Entry ${component.entry} (${uidOf(component)}): ${issues.join(', ')}`);
+    } else if (tasks.has(task.id)) {
+      errors.push(`Entry ${component.entry} (${uidOf(component)}): same UID as entry ${firstEntry.get(task.id)}; skipped`);
+    } else {
+      tasks.set(task.id, task);
+      firstEntry.set(task.id, component.entry);
+    }
+  });
+  components.filter(isOverride).forEach(component => {
+    const issues = applyOverride(tasks, component);
+    if (issues.length > 0) errors.push(`Entry ${component.entry} (${uidOf(component)}): ${issues.join(', ')}`);
+  });
+
+  const data = [...tasks.values()];
+  if (data.length === 0 && errors.length === 0) {
+    errors.push('No events or to-dos found in the calendar.');
+  }
+
+  return { valid: errors.length === 0, data, errors };
+}
@@ -0,0 +1,81 @@
+/**
+ * idb.js — IndexedDB task store
+ * Minimal promise wrappers around the "tasks" object store (one record per
+ * task, keyed by id) and a "meta" store holding the task list order.
+ * Used by storage.js; nothing else should talk to IndexedDB directly.
+ */
+
+const DB_NAME = 'campus-life-planner';
+const DB_VERSION = 1;
+const ORDER_KEY = 'taskOrder';
+
+/**
+ * Open (and on first use create) the database.
+ * Rejects when IndexedDB is missing or refuses to open (e.g. some private modes).
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openTaskDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('tasks')) db.createObjectStore('tasks', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+  });
+}
+
+/**
+ * Read every task, in list order.
+ * @returns {Promise<Array>}
+ */
+export function readAllTasks(db) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['tasks', 'meta'], 'readonly');
+    const tasksReq = tx.objectStore('tasks').getAll();
+    const orderReq = tx.objectStore('meta').get(ORDER_KEY);
+    tx.oncomplete = () => {
+      const byId = new Map(tasksReq.result.map(t => [t.id, t]));
+      const ordered = (orderReq.result || []).filter(id => byId.has(id)).map(id => byId.get(id));
+      // Records missing from the order list (shouldn't happen) go last rather than vanish
+      const listed = new Set(ordered.map(t => t.id));
+      resolve([...ordered, ...tasksReq.result.filter(t => !listed.has(t.id))]);
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Apply task changes in a single transaction.
+ * @param {IDBDatabase} db
+ * @param {{ put?: Array, remove?: string[], order?: string[]|null, clear?: boolean }} changes
+ *   `clear` empties the store first (full rewrite); `order` replaces the stored list order
+ * @returns {Promise<void>} Rejects with the transaction error, e.g. QuotaExceededError
+ */
+export function writeTaskChanges(db, { put = [], remove = [], order = null, clear = false }) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['tasks', 'meta'], 'readwrite');
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    try {
+      const store = tx.objectStore('tasks');
+      if (clear) store.clear();
+      remove.forEach(id => store.delete(id));
+      put.forEach(task => store.put(task));
+      if (order) tx.objectStore('meta').put(order, ORDER_KEY);
+    } catch (err) {
+      // e.g. a record that can't be cloned: write all or nothing
+      tx.abort();
+      reject(err);
+    }
+  });
+}
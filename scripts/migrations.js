@@ -0,0 +1,83 @@
+/**
+ * migrations.js — Storage schema versions & upgrades
+ * Stored data and JSON exports carry a schema version; anything older is
+ * upgraded step by step before it reaches the app.
+ *
+ * Versions:
+ *   1 — id, title, dueDate, duration, tag, notes, createdAt, updatedAt
+ *       (unversioned localStorage and bare-array exports)
+ *   2 — adds completed/completedAt and recurrence/exceptions
+ *   3 — adds startTime (24-hour "HH:MM", null for all-day tasks)
+ *   4 — adds priority ('low' | 'medium' | 'high' | 'critical')
+ *   5 — adds subtasks (checklist of { id, title, done, duration })
+ *   6 — adds courseId (the course a task belongs to, null for none)
+ *
+ * To change the task shape: bump SCHEMA_VERSION and append a migration
+ * whose `version` is the new number. Each step receives data at the
+ * previous version and must tolerate malformed items (imports are
+ * validated only after migrating).
+ */
+
+export const SCHEMA_VERSION = 6;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Ordered upgrade steps. Each may transform any of the stored slices.
+ * @type {Array<{ version: number, description: string, tasks?: Function, settings?: Function, tags?: Function }>}
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Completion state and repeat rules',
+    tasks: (tasks) => tasks.map(t => (isObject(t)
+      ? { completed: false, completedAt: null, recurrence: null, exceptions: {}, ...t }
+      : t))
+  },
+  {
+    version: 3,
+    description: 'Start times',
+    tasks: (tasks) => tasks.map(t => (isObject(t) ? { startTime: null, ...t } : t))
+  },
+  {
+    version: 4,
+    description: 'Priorities',
+    tasks: (tasks) => tasks.map(t => (isObject(t) ? { priority: 'medium', ...t } : t))
+  },
+  {
+    version: 5,
+    description: 'Subtasks',
+    tasks: (tasks) => tasks.map(t => (isObject(t) ? { subtasks: [], ...t } : t))
+  },
+  {
+    version: 6,
+    description: 'Courses',
+    tasks: (tasks) => tasks.map(t => (isObject(t) ? { courseId: null, ...t } : t))
+  }
+];
+
+/**
+ * Upgrade stored slices from `fromVersion` to SCHEMA_VERSION.
+ * Slices that are missing (undefined/null) are passed through untouched.
+ * @param {{ tasks?: Array, settings?: object, tags?: Array }} data
+ * @param {number} fromVersion
+ * @returns {{ tasks?: Array, settings?: object, tags?: Array }} New object; input is not mutated
+ */
+export function migrate(data, fromVersion) {
+  const result = { ...data };
+  MIGRATIONS
+    .filter(m => m.version > fromVersion && m.version <= SCHEMA_VERSION)
+    .forEach(m => {
+      ['tasks', 'settings', 'tags'].forEach(slice => {
+        if (m[slice] && result[slice] != null) result[slice] = m[slice](result[slice]);
+      });
+    });
+  return result;
+}
+
+/**
+ * Upgrade a task list. See migrate.
+ */
+export function migrateTasks(tasks, fromVersion) {
+  return migrate({ tasks }, fromVersion).tasks;
+}
@@ -0,0 +1,67 @@
+/**
+ * priority.js — Task priority & "what should I do next" ranking
+ * The smart order weighs how soon a task is due, its priority and how much
+ * effort is left (its duration, less any ticked subtasks), so an overdue
+ * critical essay beats a low-priority errand due next week:
+ *
+ *   score = urgency × priority weight + hours still needed per day left
+ *
+ * urgency is 10 on the due date and falls off as 10 / (1 + days left / 2)
+ * (5 two days out, about 2 a week out); overdue tasks get one more per day late,
+ * up to a week.
+ * Completed tasks have no remaining effort and always score 0.
+ */
+
+import { daysBetween } from './dates.js';
+import { remainingMinutes } from './subtasks.js';
+
+export const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+export const DEFAULT_PRIORITY = 'medium';
+
+const WEIGHTS = { low: 1, medium: 2, high: 3, critical: 4 };
+
+export function isPriority(value) {
+  return PRIORITIES.includes(value);
+}
+
+/**
+ * "high" → "High"
+ */
+export function priorityLabel(priority) {
+  const p = isPriority(priority) ? priority : DEFAULT_PRIORITY;
+  return p.charAt(0).toUpperCase() + p.slice(1);
+}
+
+/**
+ * Smart-order score; higher means do it sooner.
+ * @param {object} task - Task or occurrence
+ * @param {string} today - YYYY-MM-DD
+ * @returns {number}
+ */
+export function smartScore(task, today) {
+  if (task.completed) return 0;
+  const daysLeft = daysBetween(today, task.dueDate);
+  const urgency = daysLeft < 0 ? 10 + Math.min(-daysLeft, 7) : 10 / (1 + daysLeft / 2);
+  const weight = WEIGHTS[task.priority] || WEIGHTS[DEFAULT_PRIORITY];
+  const effort = (remainingMinutes(task) / 60) / Math.max(daysLeft + 1, 1);
+  return urgency * weight + effort;
+}
+
+/**
+ * Outstanding tasks in smart order (highest score first). Ties go to the
+ * earlier due date and start time. Does not modify `tasks`.
+ * @param {Array} tasks
+ * @param {string} today - YYYY-MM-DD
+ * @param {number} [limit] - Keep only the first `limit` tasks
+ * @returns {Array}
+ */
+export function rankTasks(tasks, today, limit = Infinity) {
+  return tasks
+    .filter(t => !t.completed)
+    .map(task => ({ task, score: smartScore(task, today) }))
+    .sort((a, b) => b.score - a.score ||
+      a.task.dueDate.localeCompare(b.task.dueDate) ||
+      (a.task.startTime || '').localeCompare(b.task.startTime || ''))
+    .slice(0, limit)
+    .map(({ task }) => task);
+}
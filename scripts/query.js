@@ -0,0 +1,328 @@
+/**
+ * query.js — Structured search queries
+ * Parses queries such as  tag:Study due:<2026-03-01 dur:>60 "exam" -club has:notes
+ * into a predicate over tasks.
+ *
+ * Syntax:
+ *   word / "a phrase"     free text in title, tag, notes, date or duration
+ *   /regex/               regular expression over the same text
+ *   tag:Study             tag equals (case-insensitive; quote tags with spaces)
+ *   course:CS101          linked to the course with that code (spaces and case ignored),
+ *                         else to a course whose name contains the text
+ *   title:word notes:word text within one field
+ *   due:2026-03-01        due date: exact, <, <=, >, >=, or a range a..b
+ *   due:thisweek          relative: today, tomorrow, yesterday, ±Nd, ±Nw,
+ *                         lastweek/thisweek/nextweek, lastmonth/thismonth/nextmonth
+ *   dur:>60  dur:30..90   duration in minutes (or 1.5h)
+ *   has:notes has:repeat  field is present (has:course — linked to a course)
+ *   is:done is:open is:overdue is:repeat
+ *   a b                   AND (implicit, or write AND)
+ *   a OR b                OR (binds looser than AND)
+ *   -a  NOT a             negation
+ *   ( … )                 grouping
+ */
+
+import { parseDate, formatDate, addDays, localToday, startOfWeek } from './dates.js';
+import { matchCourses } from './courses.js';
+
+const FIELDS = ['tag', 'course', 'title', 'notes', 'due', 'dur', 'has', 'is'];
+const HAS_VALUES = ['notes', 'repeat', 'course'];
+const IS_VALUES = ['done', 'open', 'overdue', 'repeat'];
+
+// Anything that only makes sense as a query (a bare regex never needs it)
+const QUERY_SYNTAX = /(^|[\s(])(-|NOT\s)?[a-z]+:|"|(^|[\s(])-[^\s-]|(^|\s)(AND|OR|NOT)(\s|$)/;
+
+/**
+ * Does this search input use query syntax (fields, quotes, negation, AND/OR/NOT)?
+ * Plain input keeps the original regex search.
+ */
+export function isQuery(input) {
+  return QUERY_SYNTAX.test(input);
+}
+
+class QueryError extends Error {}
+
+// ===== Tokenizer =====
+function readQuoted(input, start) {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) throw new QueryError(`Missing closing quote after position ${start + 1}.`);
+  return { text: input.slice(start + 1, end), next: end + 1 };
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const c = input[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '(' || c === ')') {
+      tokens.push({ type: c });
+      i++;
+    } else if (c === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else if (c === '"') {
+      const { text, next } = readQuoted(input, i);
+      tokens.push({ type: 'TERM', field: null, value: text, quoted: true });
+      i = next;
+    } else if (c === '/') {
+      // /regex/flags — a slash inside the pattern is escaped as \/
+      let j = i + 1;
+      while (j < input.length && input[j] !== '/') j += input[j] === '\\' ? 2 : 1;
+      if (j >= input.length) throw new QueryError('Missing closing / in regex.');
+      const flags = input.slice(j + 1).match(/^[imsu]*/)[0];
+      tokens.push({ type: 'REGEX', source: input.slice(i + 1, j), flags });
+      i = j + 1 + flags.length;
+    } else {
+      let j = i;
+      while (j < input.length && !/[\s()"]/.test(input[j])) j++;
+      const word = input.slice(i, j);
+      i = j;
+
+      if (['AND', 'OR', 'NOT'].includes(word)) {
+        tokens.push({ type: word });
+        continue;
+      }
+      const field = word.match(/^([a-z]+):(.*)$/i);
+      if (!field) {
+        tokens.push({ type: 'TERM', field: null, value: word });
+        continue;
+      }
+      const name = field[1].toLowerCase();
+      if (!FIELDS.includes(name)) {
+        throw new QueryError(`Unknown field "${field[1]}:". Use ${FIELDS.map(f => f + ':').join(' ')} — or quote the text.`);
+      }
+      let value = field[2];
+      // field:"quoted value"
+      if (value === '' && input[i] === '"') {
+        const quoted = readQuoted(input, i);
+        value = quoted.text;
+        i = quoted.next;
+      }
+      if (value === '') throw new QueryError(`"${name}:" needs a value.`);
+      tokens.push({ type: 'TERM', field: name, value });
+    }
+  }
+  return tokens;
+}
+
+// ===== Value parsers =====
+const COMPARISON = /^(<=|>=|<|>)?(.*)$/;
+
+/**
+ * Resolve a date expression to an inclusive { start, end } range.
+ */
+function resolveDate(expr, today, weekStart) {
+  const lower = expr.toLowerCase();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(expr)) return { start: expr, end: expr };
+  if (lower === 'today') return { start: today, end: today };
+  if (lower === 'tomorrow') return { start: addDays(today, 1), end: addDays(today, 1) };
+  if (lower === 'yesterday') return { start: addDays(today, -1), end: addDays(today, -1) };
+
+  const offset = lower.match(/^([+-]\d+)([dw])$/);
+  if (offset) {
+    const date = addDays(today, Number(offset[1]) * (offset[2] === 'w' ? 7 : 1));
+    return { start: date, end: date };
+  }
+
+  const period = lower.match(/^(last|this|next)(week|month)$/);
+  if (period) {
+    const shift = { last: -1, this: 0, next: 1 }[period[1]];
+    const d = parseDate(today);
+    if (period[2] === 'week') {
+      const start = addDays(startOfWeek(today, weekStart), shift * 7);
+      return { start, end: addDays(start, 6) };
+    }
+    const first = new Date(d.getFullYear(), d.getMonth() + shift, 1);
+    const last = new Date(d.getFullYear(), d.getMonth() + shift + 1, 0);
+    return { start: formatDate(first), end: formatDate(last) };
+  }
+
+  throw new QueryError(`Can't read date "${expr}". Use YYYY-MM-DD, today, tomorrow, +7d, thisweek, nextmonth…`);
+}
+
+function parseMinutes(expr) {
+  const m = expr.toLowerCase().match(/^(\d+(?:\.\d+)?)(m|min|h)?$/);
+  if (!m) throw new QueryError(`Can't read duration "${expr}". Use minutes (90) or hours (1.5h).`);
+  return m[2] === 'h' ? Number(m[1]) * 60 : Number(m[1]);
+}
+
+/**
+ * Turn "<x", ">=x", "a..b" or "x" into an inclusive { min, max } using `resolve`,
+ * which returns { start, end } for one value. `step` moves one unit past a bound.
+ */
+function parseBounds(value, resolve, step) {
+  if (value.includes('..')) {
+    const [from, to] = value.split('..');
+    return {
+      min: from ? resolve(from).start : null,
+      max: to ? resolve(to).end : null
+    };
+  }
+  const [, op, rest] = value.match(COMPARISON);
+  const { start, end } = resolve(rest);
+  switch (op) {
+    case '<': return { min: null, max: step(start, -1) };
+    case '<=': return { min: null, max: end };
+    case '>': return { min: step(end, 1), max: null };
+    case '>=': return { min: start, max: null };
+    default: return { min: start, max: end };
+  }
+}
+
+const inBounds = (value, { min, max }) => (min === null || value >= min) && (max === null || value <= max);
+
+// ===== Parser =====
+/**
+ * Recursive descent over the tokens: or := and (OR and)* ; and := unary (AND? unary)* ;
+ * unary := NOT unary | ( or ) | term
+ */
+function buildParser(tokens, context) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : task => items.some(fn => fn(task));
+  }
+
+  function parseAnd() {
+    const items = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') pos++;
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : task => items.every(fn => fn(task));
+  }
+
+  function parseUnary(negated = false) {
+    const token = tokens[pos++];
+    if (!token) throw new QueryError('Query ends too early — something is missing after the last operator.');
+    if (token.type === 'NOT') {
+      const inner = parseUnary(!negated);
+      return task => !inner(task);
+    }
+    if (token.type === '(') {
+      const inner = parseOrNegated(negated);
+      if (!peek() || peek().type !== ')') throw new QueryError('Missing closing parenthesis.');
+      pos++;
+      return inner;
+    }
+    if (token.type === 'TERM' || token.type === 'REGEX') return compileTerm(token, context, negated);
+    throw new QueryError(token.type === ')' ? 'Unexpected ")".' : `"${token.type}" needs something on both sides.`);
+  }
+
+  // Grouped expressions inherit the negation so highlighting skips excluded text
+  function parseOrNegated(negated) {
+    const saved = context.negated;
+    context.negated = negated;
+    const fn = parseOr();
+    context.negated = saved;
+    return fn;
+  }
+
+  return () => {
+    const fn = parseOr();
+    if (pos < tokens.length) throw new QueryError(tokens[pos].type === ')' ? 'Unexpected ")".' : 'Could not read the whole query.');
+    return fn;
+  };
+}
+
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function searchableText(task) {
+  return [task.title, task.tag, task.notes || '', task.dueDate, String(task.duration)].join(' ');
+}
+
+function compileTerm(token, context, negated) {
+  const { caseSensitive, today, weekStart, courses, highlights } = context;
+  // Negated once (by the term or an enclosing group) but not twice
+  const excluded = negated !== context.negated;
+  const fold = str => (caseSensitive ? str : str.toLowerCase());
+  const highlightText = text => highlights.push(new RegExp(escapeRegex(text), caseSensitive ? '' : 'i'));
+  const contains = (haystack, needle) => fold(haystack || '').includes(fold(needle));
+
+  if (token.type === 'REGEX') {
+    let regex;
+    try {
+      regex = new RegExp(token.source, token.flags || (caseSensitive ? '' : 'i'));
+    } catch (e) {
+      throw new QueryError(`Invalid regex: ${e.message}`);
+    }
+    if (!excluded) highlights.push(regex);
+    return task => regex.test(searchableText(task));
+  }
+
+  const { field, value } = token;
+  switch (field) {
+    case null:
+      if (!excluded) highlightText(value);
+      return task => contains(searchableText(task), value);
+    case 'title':
+    case 'notes':
+      if (!excluded) highlightText(value);
+      return task => contains(task[field], value);
+    case 'tag':
+      return task => task.tag.toLowerCase() === value.toLowerCase();
+    case 'course': {
+      const ids = new Set(matchCourses(courses, value).map(c => c.id));
+      return task => ids.has(task.courseId);
+    }
+    case 'due': {
+      const bounds = parseBounds(value, expr => resolveDate(expr, today, weekStart), addDays);
+      return task => inBounds(task.dueDate, bounds);
+    }
+    case 'dur': {
+      const bounds = parseBounds(value, expr => {
+        const minutes = parseMinutes(expr);
+        return { start: minutes, end: minutes };
+      }, (n, dir) => n + dir * 0.001);
+      return task => inBounds(task.duration, bounds);
+    }
+    case 'has': {
+      const what = value.toLowerCase();
+      if (!HAS_VALUES.includes(what)) throw new QueryError(`Unknown "has:${value}". Use ${HAS_VALUES.map(v => 'has:' + v).join(' or ')}.`);
+      if (what === 'notes') return task => !!(task.notes && task.notes.trim());
+      if (what === 'course') return task => !!task.courseId;
+      return task => !!task.recurrence;
+    }
+    case 'is': {
+      const what = value.toLowerCase();
+      if (!IS_VALUES.includes(what)) throw new QueryError(`Unknown "is:${value}". Use ${IS_VALUES.map(v => 'is:' + v).join(', ')}.`);
+      if (what === 'done') return task => !!task.completed;
+      if (what === 'open') return task => !task.completed;
+      if (what === 'repeat') return task => !!task.recurrence;
+      return task => !task.completed && task.dueDate < today;
+    }
+    default:
+      throw new QueryError(`Unknown field "${field}:".`);
+  }
+}
+
+/**
+ * Compile a query string.
+ * @param {string} input
+ * @param {{ caseSensitive?: boolean, today?: string, weekStart?: number, courses?: Array }} options
+ *   `today` (YYYY-MM-DD) anchors relative dates; `weekStart` is 0 = Sunday … 6 = Saturday;
+ *   `courses` are the ones course: terms can name
+ * @returns {{ match: Function|null, regex: RegExp[]|null, error: string|null }}
+ *   `regex` holds one regex per free-text part, for highlighting (null if there are none)
+ */
+export function parseQuery(input, { caseSensitive = false, today = localToday(), weekStart = 0, courses = [] } = {}) {
+  const context = { caseSensitive, today, weekStart, courses, highlights: [], negated: false };
+  try {
+    const tokens = tokenize(input);
+    if (tokens.length === 0) return { match: () => true, regex: null, error: null };
+    const match = buildParser(tokens, context)();
+    // One regex per term: joined into one, groups and backreferences would clash
+    return { match, regex: context.highlights.length > 0 ? context.highlights : null, error: null };
+  } catch (e) {
+    if (e instanceof QueryError) return { match: null, regex: null, error: `Query error: ${e.message}` };
+    throw e;
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * recurrence.js — Repeat rules & occurrence expansion
+ * Turns a recurring task into concrete dated occurrences within a range
+ *
+ * Rule shape (stored on task.recurrence, null for one-off tasks):
+ *   {
+ *     freq: 'daily' | 'weekly' | 'monthly',
+ *     interval: 1,            // every N days / weeks / months
+ *     weekdays: [1, 3],       // weekly only — 0 = Sunday … 6 = Saturday
+ *     until: '2026-05-01',    // optional last date (inclusive)
+ *     count: 10               // optional number of occurrences
+ *   }
+ *
+ * Per-occurrence changes live in task.exceptions, keyed by the original
+ * occurrence date: { '2026-02-16': { skipped: true }, '2026-02-18': { duration: 30 } }
+ */
+
+import { parseDate, formatDate, addDays, daysBetween, startOfWeek } from './dates.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Hard stop so a bad rule can never spin forever (counted from the start of the range)
+const MAX_ITERATIONS = 5000;
+
+// ===== Time of day helpers (24-hour "HH:MM") =====
+export function timeToMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+export function minutesToTime(minutes) {
+  const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+/**
+ * When something starting at `date` `time` ends after `minutes`, rolling over midnight.
+ * @returns {{ date: string, time: string }}
+ */
+export function addMinutes(date, time, minutes) {
+  const total = timeToMinutes(time) + Math.round(minutes);
+  return { date: addDays(date, Math.floor(total / 1440)), time: minutesToTime(total) };
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+// ===== Rule generation =====
+// Weekdays a weekly rule falls on, defaulting to the weekday of its first date
+function ruleWeekdays(rule, first) {
+  return (rule.weekdays && rule.weekdays.length > 0)
+    ? [...rule.weekdays].sort((a, b) => a - b)
+    : [first.getDay()];
+}
+
+/**
+ * Yield candidate dates for a rule in ascending order, starting at `start`,
+ * or `skip` periods (of `interval` days / weeks / months) after it.
+ * Monthly rules clamp to the last day of shorter months (Jan 31 → Feb 28).
+ */
+function* candidateDates(start, rule, skip = 0) {
+  const interval = Math.max(1, rule.interval || 1);
+  const first = parseDate(start);
+
+  if (rule.freq === 'daily') {
+    for (let i = skip * interval; ; i += interval) {
+      const d = new Date(first);
+      d.setDate(d.getDate() + i);
+      yield formatDate(d);
+    }
+  }
+
+  if (rule.freq === 'weekly') {
+    const weekdays = ruleWeekdays(rule, first);
+    const weekStart = new Date(first);
+    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+    for (let w = skip * interval; ; w += interval) {
+      for (const wd of weekdays) {
+        const d = new Date(weekStart);
+        d.setDate(d.getDate() + w * 7 + wd);
+        if (d >= first) yield formatDate(d);
+      }
+    }
+  }
+
+  if (rule.freq === 'monthly') {
+    const day = first.getDate();
+    for (let i = skip * interval; ; i += interval) {
+      const y = first.getFullYear() + Math.floor((first.getMonth() + i) / 12);
+      const m = (first.getMonth() + i) % 12;
+      yield formatDate(new Date(y, m, Math.min(day, daysInMonth(y, m))));
+    }
+  }
+}
+
+/**
+ * The whole periods of a rule that end before `date`, and how many candidate
+ * dates they hold, so candidateDates can start there.
+ * @returns {{ periods: number, dates: number }}
+ */
+function periodsBefore(start, rule, date) {
+  if (date <= start) return { periods: 0, dates: 0 };
+  const interval = Math.max(1, rule.interval || 1);
+  const first = parseDate(start);
+
+  if (rule.freq === 'daily') {
+    const periods = Math.floor(daysBetween(start, date) / interval);
+    return { periods, dates: periods };
+  }
+  if (rule.freq === 'weekly') {
+    const weeks = Math.round(daysBetween(startOfWeek(start), startOfWeek(date)) / 7);
+    const periods = Math.floor(weeks / interval);
+    if (periods === 0) return { periods, dates: 0 };
+    const weekdays = ruleWeekdays(rule, first);
+    // The first week has no dates before the series starts
+    return { periods, dates: periods * weekdays.length - weekdays.filter(wd => wd < first.getDay()).length };
+  }
+  const last = parseDate(date);
+  const months = (last.getFullYear() - first.getFullYear()) * 12 + last.getMonth() - first.getMonth();
+  const periods = Math.floor(months / interval);
+  return { periods, dates: periods };
+}
+
+/**
+ * List the raw occurrence dates of a rule between rangeStart and rangeEnd (inclusive).
+ * Skipped occurrences are still counted toward `count`, as in iCalendar.
+ * @param {string} start - First date of the series (YYYY-MM-DD)
+ * @param {object} rule - Recurrence rule
+ * @param {string} rangeStart - YYYY-MM-DD
+ * @param {string} rangeEnd - YYYY-MM-DD
+ * @returns {string[]}
+ */
+export function occurrenceDates(start, rule, rangeStart, rangeEnd) {
+  if (!rule || !FREQUENCIES.includes(rule.freq)) {
+    return start >= rangeStart && start <= rangeEnd ? [start] : [];
+  }
+
+  // Start near the range rather than at the first date of a long series
+  const { periods, dates: before } = periodsBefore(start, rule, rangeStart);
+  const dates = [];
+  let n = before;
+  let iterations = 0;
+  for (const date of candidateDates(start, rule, periods)) {
+    if (++iterations > MAX_ITERATIONS) break;
+    if (date > rangeEnd) break;
+    if (rule.until && date > rule.until) break;
+    if (rule.count && n >= rule.count) break;
+    n++;
+    if (date >= rangeStart) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Expand one task into its occurrences within a range. One-off tasks are
+ * returned unchanged (regardless of range); recurring tasks become one object
+ * per occurrence carrying `occurrenceDate` and `seriesId` with any
+ * per-occurrence exception merged in. Skipped occurrences are dropped.
+ */
+export function expandTask(task, rangeStart, rangeEnd) {
+  if (!task.recurrence) return [task];
+
+  const exceptions = task.exceptions || {};
+  return occurrenceDates(task.dueDate, task.recurrence, rangeStart, rangeEnd)
+    .filter(date => !(exceptions[date] && exceptions[date].skipped))
+    .map(date => ({
+      ...task,
+      completed: false,
+      completedAt: null,
+      ...(exceptions[date] || {}),
+      id: task.id,
+      seriesId: task.id,
+      seriesStart: task.dueDate,
+      occurrenceDate: date,
+      dueDate: (exceptions[date] && exceptions[date].dueDate) || date
+    }));
+}
+
+/**
+ * Expand a list of tasks. See expandTask.
+ */
+export function expandTasks(tasks, rangeStart, rangeEnd) {
+  return tasks.flatMap(t => expandTask(t, rangeStart, rangeEnd));
+}
+
+/**
+ * Human-readable rule summary, e.g. "Every 2 weeks on Mon, Wed · 10 times".
+ */
+export function describeRecurrence(rule) {
+  if (!rule || !FREQUENCIES.includes(rule.freq)) return '';
+  const n = Math.max(1, rule.interval || 1);
+  const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+  let text = n === 1
+    ? { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[rule.freq]
+    : `Every ${n} ${units[rule.freq]}s`;
+
+  if (rule.freq === 'weekly' && rule.weekdays && rule.weekdays.length > 0) {
+    text += ' on ' + [...rule.weekdays].sort((a, b) => a - b).map(d => WEEKDAY_NAMES[d]).join(', ');
+  }
+  if (rule.until) text += ` · until ${rule.until}`;
+  if (rule.count) text += ` · ${rule.count} times`;
+  return text;
+}
@@ -0,0 +1,95 @@
+/**
+ * router.js — URL hash routes
+ * Maps location.hash to a page (and back) so pages, the Tasks page's
+ * search/sort and single tasks have shareable URLs:
+ *
+ *   #/dashboard
+ *   #/records?q=tag%3AStudy&case=1&sort=title&dir=asc&status=open&course=<id>
+ *   #/task/<id>
+ *
+ * Old-style links without the slash (#records) still resolve.
+ */
+
+export const PAGES = ['about', 'dashboard', 'records', 'calendar', 'add', 'settings'];
+export const DEFAULT_PAGE = 'about';
+
+const SORT_FIELDS = ['date', 'title', 'duration', 'smart'];
+const STATUSES = ['all', 'open', 'done'];
+
+/**
+ * Parse a hash into a route.
+ * @param {string} hash - e.g. location.hash
+ * @returns {{ page: string, taskId: string|null, search: object|null }|null}
+ *   `search` ({ query, caseSensitive, sort: { field, dir }, status, course }) is only set
+ *   for #/records and fills in defaults for missing parameters. `course` is 'all',
+ *   'none' or a course id, which the caller checks against its courses. Returns null
+ *   for hashes that aren't routes (e.g. the skip link's #main-content) or don't decode.
+ */
+export function parseRoute(hash) {
+  const raw = (hash || '').replace(/^#\/?/, '');
+  if (raw === '') return { page: DEFAULT_PAGE, taskId: null, search: null };
+
+  const queryStart = raw.indexOf('?');
+  const path = queryStart === -1 ? raw : raw.slice(0, queryStart);
+  const params = new URLSearchParams(queryStart === -1 ? '' : raw.slice(queryStart + 1));
+  const [page, ...rest] = path.split('/');
+
+  if (page === 'task' && rest.length > 0 && rest.join('/')) {
+    const taskId = decodeId(rest.join('/'));
+    return taskId === null ? null : { page: 'records', taskId, search: null };
+  }
+  if (!PAGES.includes(page) || rest.length > 0) return null;
+  if (page !== 'records') return { page, taskId: null, search: null };
+
+  const field = params.get('sort');
+  const dir = params.get('dir');
+  const status = params.get('status');
+  return {
+    page,
+    taskId: null,
+    search: {
+      query: params.get('q') || '',
+      caseSensitive: params.get('case') === '1',
+      sort: {
+        field: SORT_FIELDS.includes(field) ? field : 'date',
+        dir: dir === 'asc' || dir === 'desc' ? dir : 'desc'
+      },
+      status: STATUSES.includes(status) ? status : 'all',
+      course: params.get('course') || 'all'
+    }
+  };
+}
+
+/**
+ * Decode a task id from the hash; null when it isn't valid percent-encoding
+ * (e.g. a hand-edited #/task/%E0%A4).
+ */
+function decodeId(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the hash for a route. Search parameters at their defaults are left out.
+ * @param {{ page: string, taskId?: string|null, search?: object|null }} route
+ * @returns {string}
+ */
+export function buildRoute({ page, taskId = null, search = null }) {
+  if (taskId) return `#/task/${encodeURIComponent(taskId)}`;
+  if (page !== 'records' || !search) return `#/${page}`;
+
+  const params = new URLSearchParams();
+  if (search.query) params.set('q', search.query);
+  if (search.caseSensitive) params.set('case', '1');
+  if (search.sort && (search.sort.field !== 'date' || search.sort.dir !== 'desc')) {
+    params.set('sort', search.sort.field);
+    params.set('dir', search.sort.dir);
+  }
+  if (search.status && search.status !== 'all') params.set('status', search.status);
+  if (search.course && search.course !== 'all') params.set('course', search.course);
+  const query = params.toString();
+  return `#/records${query ? `?${query}` : ''}`;
+}
@@ -1,9 +1,11 @@
 /**
  * search.js — Regex search & highlight
- * Safe regex compilation with try/catch, case-insensitive toggle, match highlighting
+ * Safe regex compilation with try/catch, case-insensitive toggle, match highlighting,
+ * and structured queries (see query.js)
  */
 
 import { PATTERNS } from './validators.js';
+import { isQuery, parseQuery } from './query.js';
 
 /**
  * Safely compile a regex from user input.
@@ -27,17 +29,42 @@ export function compileRegex(input, flags = 'i') {
  * Highlight regex matches in text using <mark> tags.
  * Escapes HTML first to prevent XSS.
  * @param {string} text - The text to search in
- * @param {RegExp|null} regex - Compiled regex
+ * @param {RegExp|RegExp[]|null} regex - Compiled regex, or one per search term
+ *   (overlapping matches of different terms share one mark)
  * @returns {string} HTML with <mark> tags around matches
  */
 export function highlight(text, regex) {
-  if (!regex || !text) return escapeHTML(text || '');
+  const regexes = (Array.isArray(regex) ? regex : [regex]).filter(Boolean);
+  if (regexes.length === 0 || !text) return escapeHTML(text || '');
 
   const escaped = escapeHTML(text);
-  // Use 'g' flag for highlighting all matches
-  const globalRegex = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g');
-
-  return escaped.replace(globalRegex, match => `<mark>${match}</mark>`);
+  const ranges = [];
+  regexes.forEach(r => {
+    // Use 'g' flag for highlighting all matches
+    const globalRegex = new RegExp(r.source, r.flags.includes('g') ? r.flags : r.flags + 'g');
+    for (const m of escaped.matchAll(globalRegex)) {
+      if (m[0]) ranges.push([m.index, m.index + m[0].length]);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  let html = '';
+  let pos = 0;
+  let open = null;  // [start, end] of the mark being built
+  const close = () => {
+    html += `${escaped.slice(pos, open[0])}<mark>${escaped.slice(open[0], open[1])}</mark>`;
+    pos = open[1];
+  };
+  ranges.forEach(([start, end]) => {
+    if (open && start <= open[1]) {
+      open[1] = Math.max(open[1], end);
+      return;
+    }
+    if (open) close();
+    open = [start, end];
+  });
+  if (open) close();
+  return html + escaped.slice(pos);
 }
 
 /**
@@ -48,15 +75,46 @@ export function escapeHTML(str) {
   return str.replace(/[&<>"']/g, c => map[c]);
 }
 
+/**
+ * Filter tasks by completion status.
+ * @param {Array} tasks - Array of task objects
+ * @param {string} status - 'all', 'open' (outstanding) or 'done' (completed)
+ * @returns {Array}
+ */
+export function filterByStatus(tasks, status = 'all') {
+  if (status === 'done') return tasks.filter(t => t.completed);
+  if (status === 'open') return tasks.filter(t => !t.completed);
+  return tasks;
+}
+
+/**
+ * Filter tasks by course.
+ * @param {Array} tasks - Array of task objects
+ * @param {string} course - 'all', 'none' (linked to no course) or a course id
+ * @returns {Array}
+ */
+export function filterByCourse(tasks, course = 'all') {
+  if (course === 'all') return tasks;
+  if (course === 'none') return tasks.filter(t => !t.courseId);
+  return tasks.filter(t => t.courseId === course);
+}
+
 /**
  * Filter tasks based on search input.
- * Supports special syntax: @tag:TagName to filter by tag.
+ * Supports special syntax: @tag:TagName to filter by tag, and structured
+ * queries (tag:Study due:<2026-03-01 -club …) whenever the input uses query syntax;
+ * anything else is a regex.
  * @param {Array} tasks - Array of task objects
  * @param {string} searchInput - User's search string
  * @param {boolean} caseSensitive - Whether search is case-sensitive
- * @returns {{ filtered: Array, regex: RegExp|null, error: string|null }}
+ * @param {string} status - Completion filter: 'all', 'open' or 'done'
+ * @param {object} queryOptions - Passed to parseQuery (e.g. { today, weekStart, courses })
+ * @param {string} course - Course filter: 'all', 'none' or a course id
+ * @returns {{ filtered: Array, regex: RegExp|RegExp[]|null, error: string|null }}
  */
-export function filterTasks(tasks, searchInput, caseSensitive = false) {
+export function filterTasks(tasks, searchInput, caseSensitive = false, status = 'all', queryOptions = {}, course = 'all') {
+  tasks = filterByCourse(filterByStatus(tasks, status), course);
+
   if (!searchInput || !searchInput.trim()) {
     return { filtered: tasks, regex: null, error: null };
   }
@@ -73,6 +131,15 @@ export function filterTasks(tasks, searchInput, caseSensitive = false) {
     return { filtered, regex: null, error: null };
   }
 
+  // Structured query
+  if (isQuery(input)) {
+    const { match, regex, error } = parseQuery(input, { ...queryOptions, caseSensitive });
+    if (error) {
+      return { filtered: tasks, regex: null, error };
+    }
+    return { filtered: tasks.filter(match), regex, error: null };
+  }
+
   // Regular regex search
   const flags = caseSensitive ? 'g' : 'gi';
   const { regex, error } = compileRegex(input, flags);
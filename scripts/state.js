@@ -1,16 +1,64 @@
 /**
  * state.js — Centralized state management
- * Manages tasks, settings, tags with auto-save to localStorage
+ * Manages tasks, settings, tags, courses and the focus timer with auto-save to localStorage
  */
 
-import { loadTasks, saveTasks, loadSettings, saveSettings, loadTags, saveTags } from './storage.js';
+import {
+  loadTasks, saveTasks, loadSettings, saveSettings, loadTags, saveTags, loadCourses, saveCourses, loadHistory,
+  saveHistory, initStorage, loadSessions, saveSessions, loadTimer, saveTimer, onExternalChange, onStorageError
+} from './storage.js';
+import { expandTask, expandTasks } from './recurrence.js';
+import { localToday, addDays } from './dates.js';
+import { reconcileTasks } from './sync.js';
+import { diffTasks, patchTasks } from './history.js';
+import { retagTasks } from './tags.js';
+import { createCourse, findCourse, dropUnknownCourses } from './courses.js';
+import { DEFAULT_PRIORITY, smartScore } from './priority.js';
+import { computeStats, resolveRange, previousRange, autoBucket, buildAnalytics } from './analytics.js';
+import { createTimer, isRunning, startTimer, pauseTimer, stopTimer, advanceTimer, sessionKey, trackedMinutes } from './timer.js';
+
+// Recurring series are expanded this many days either side of today
+const OCCURRENCE_WINDOW = { past: 30, future: 60 };
+
+// Undo steps kept (and persisted) per direction
+export const HISTORY_LIMIT = 30;
+
+// Which save function persists each slice of state
+const SAVERS = { tasks: saveTasks, settings: saveSettings, tags: saveTags, courses: saveCourses, sessions: saveSessions };
 
 class AppState {
   constructor() {
+    // Empty until init() has loaded stored data
+    this.tasks = [];
+    this.settings = { durationUnit: 'minutes', weeklyCap: 0, dailyCap: 0, weekStart: 0, pomodoro: false, savedSearches: [], tagColors: {}, tagBudgets: {} };
+    this.tags = [];
+    this.courses = [];
+    this.sessions = [];
+    this.timer = null;
+    this.history = { undo: [], redo: [] };
+    this._pending = null;  // undo step waiting for its task patch
+    this.backend = null;
+    this._listeners = [];
+  }
+
+  /**
+   * Open storage (migrating or quarantining old data) and load every slice.
+   * Call once, before rendering anything.
+   */
+  async init() {
+    this.backend = await initStorage();
     this.tasks = loadTasks();
     this.settings = loadSettings();
     this.tags = loadTags();
-    this._listeners = [];
+    this.courses = loadCourses();
+    this.sessions = loadSessions();
+    this.timer = loadTimer();
+    this.history = loadHistory();
+
+    // Last task list this tab and the others agreed on (see sync.js)
+    this._syncBase = JSON.parse(JSON.stringify(this.tasks));
+    onExternalChange((slice, value) => this._applyExternal(slice, value));
+    onStorageError(error => this._notify('storageError', error));
   }
 
   // ===== Event system =====
@@ -25,6 +73,133 @@ class AppState {
     this._listeners.forEach(fn => fn(event, data));
   }
 
+  // ===== Undo / redo =====
+  _snapshot(slices) {
+    const snap = {};
+    slices.forEach(key => {
+      snap[key] = JSON.parse(JSON.stringify(this[key]));
+    });
+    return snap;
+  }
+
+  /**
+   * Remember the current value of the given slices before a mutation.
+   * Any new change invalidates the redo stack. Tasks are kept as a patch
+   * (see history.js), worked out by _saveTasks once the change is made.
+   * @param {string} label - Human-readable action, e.g. 'Delete "Essay"'
+   * @param {string[]} slices - Any of 'tasks', 'settings', 'tags', 'courses', 'sessions'
+   */
+  _record(label, slices) {
+    const entry = { label, state: this._snapshot(slices.filter(key => key !== 'tasks')) };
+    this.history.undo.push(entry);
+    if (this.history.undo.length > HISTORY_LIMIT) this.history.undo.shift();
+    this.history.redo = [];
+    if (slices.includes('tasks')) this._pending = { entry, tasks: [...this.tasks] };
+    else saveHistory(this.history);
+  }
+
+  /**
+   * Save the task list, finishing the undo step recorded for this change.
+   */
+  _saveTasks() {
+    if (this._pending) {
+      this._pending.entry.tasks = diffTasks(this.tasks, this._pending.tasks);
+      this._pending = null;
+      saveHistory(this.history);
+    }
+    saveTasks(this.tasks);
+  }
+
+  _restore(snap) {
+    Object.keys(snap).forEach(key => {
+      this[key] = snap[key];
+      SAVERS[key](this[key]);
+    });
+  }
+
+  _travel(from, to, event) {
+    const entry = this.history[from].pop();
+    if (!entry) return null;
+
+    // Steps saved before task patches hold the whole list in state.tasks
+    const { tasks: list, ...state } = entry.state;
+    // Save the present so the step can be travelled back
+    const back = { label: entry.label, state: this._snapshot(Object.keys(state)) };
+    if (entry.tasks || list) {
+      const tasks = entry.tasks ? patchTasks(this.tasks, entry.tasks) : list;
+      back.tasks = diffTasks(tasks, this.tasks);
+      this.tasks = tasks;
+      saveTasks(this.tasks);
+    }
+    this.history[to].push(back);
+    if (this.history[to].length > HISTORY_LIMIT) this.history[to].shift();
+    this._restore(state);
+    saveHistory(this.history);
+    this._notify(event, entry.label);
+    return entry.label;
+  }
+
+  /**
+   * Revert the most recent change. Returns its label, or null if nothing to undo.
+   */
+  undo() {
+    return this._travel('undo', 'redo', 'undone');
+  }
+
+  redo() {
+    return this._travel('redo', 'undo', 'redone');
+  }
+
+  canUndo() {
+    return this.history.undo.length > 0;
+  }
+
+  canRedo() {
+    return this.history.redo.length > 0;
+  }
+
+  // ===== Cross-tab sync =====
+  /**
+   * Fold a change written by another tab into this one. Tasks are reconciled
+   * field by field so neither tab's edits are lost; settings, tags, courses, undo
+   * history, timer sessions and the timer follow whichever tab wrote last. Fires the usual change event for
+   * the slice, then 'synced' with { slice, conflicts }.
+   */
+  _applyExternal(slice, value) {
+    if (slice === 'history') {
+      this.history = loadHistory();
+      return;
+    }
+
+    let conflicts = [];
+    if (slice === 'tasks') {
+      const incoming = Array.isArray(value) ? value : [];
+      const result = reconcileTasks(this._syncBase, this.tasks, incoming);
+      this.tasks = result.tasks;
+      conflicts = result.conflicts;
+      // Hand this tab's unseen changes back so every tab converges on the same list
+      if (result.writeBack) saveTasks(this.tasks);
+      this._syncBase = JSON.parse(JSON.stringify(this.tasks));
+      this._notify('tasksReplaced', this.tasks);
+    } else if (slice === 'settings') {
+      this.settings = loadSettings();
+      this._notify('settingsUpdated', this.settings);
+    } else if (slice === 'tags') {
+      this.tags = loadTags();
+      this._notify('tagsUpdated', this.tags);
+    } else if (slice === 'courses') {
+      this.courses = loadCourses();
+      this._notify('coursesUpdated', this.courses);
+    } else if (slice === 'sessions') {
+      this.sessions = loadSessions();
+      this._notify('sessionsUpdated', this.sessions);
+    } else if (slice === 'timer') {
+      this.timer = loadTimer();
+      this._notify('timerUpdated', this.timer);
+    }
+    this._notify('synced', { slice, conflicts });
+  }
+
   // ===== Tasks CRUD =====
   addTask(task) {
     const now = new Date().toISOString();
@@ -32,14 +207,23 @@ class AppState {
       id: `task_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
       title: task.title.trim(),
       dueDate: task.date,
+      startTime: task.time || null,
       duration: parseFloat(task.duration),
       tag: task.tag.trim(),
+      priority: task.priority || DEFAULT_PRIORITY,
+      courseId: task.courseId || null,
       notes: (task.notes || '').trim(),
+      subtasks: task.subtasks || [],
+      completed: false,
+      completedAt: null,
+      recurrence: task.recurrence || null,
+      exceptions: {},
       createdAt: now,
       updatedAt: now
     };
+    this._record(`Add "${newTask.title}"`, ['tasks']);
     this.tasks.unshift(newTask);
-    saveTasks(this.tasks);
+    this._saveTasks();
     this._notify('taskAdded', newTask);
     return newTask;
   }
@@ -48,12 +232,13 @@ class AppState {
     const idx = this.tasks.findIndex(t => t.id === id);
     if (idx === -1) return null;
 
+    this._record(`Edit "${this.tasks[idx].title}"`, ['tasks']);
     this.tasks[idx] = {
       ...this.tasks[idx],
       ...updates,
       updatedAt: new Date().toISOString()
     };
-    saveTasks(this.tasks);
+    this._saveTasks();
     this._notify('taskUpdated', this.tasks[idx]);
     return this.tasks[idx];
   }
@@ -62,31 +247,232 @@ class AppState {
     const idx = this.tasks.findIndex(t => t.id === id);
     if (idx === -1) return false;
 
+    this._record(`Delete "${this.tasks[idx].title}"`, ['tasks']);
     const removed = this.tasks.splice(idx, 1)[0];
-    saveTasks(this.tasks);
+    this._saveTasks();
     this._notify('taskDeleted', removed);
     return true;
   }
 
+  /**
+   * Mark a task done or not done. Stamps completedAt when completing,
+   * clears it when reopening. Pass occurrenceDate to complete a single
+   * occurrence of a recurring series.
+   */
+  setTaskCompleted(id, completed, occurrenceDate = null) {
+    const changes = {
+      completed,
+      completedAt: completed ? new Date().toISOString() : null
+    };
+    return occurrenceDate
+      ? this.updateOccurrence(id, occurrenceDate, changes)
+      : this.updateTask(id, changes);
+  }
+
+  toggleTaskCompleted(id, occurrenceDate = null) {
+    const task = occurrenceDate ? this.getOccurrence(id, occurrenceDate) : this.getTask(id);
+    if (!task) return null;
+    const result = this.setTaskCompleted(id, !task.completed, occurrenceDate);
+    return occurrenceDate ? this.getOccurrence(id, occurrenceDate) : result;
+  }
+
+  /**
+   * Move a task (or one occurrence of a series) to another day.
+   */
+  rescheduleTask(id, dueDate, occurrenceDate = null) {
+    return occurrenceDate
+      ? this.updateOccurrence(id, occurrenceDate, { dueDate })
+      : this.updateTask(id, { dueDate });
+  }
+
+  /**
+   * Replace a task's checklist (or one occurrence's, for a repeating series).
+   */
+  setSubtasks(id, subtasks, occurrenceDate = null) {
+    return occurrenceDate
+      ? this.updateOccurrence(id, occurrenceDate, { subtasks })
+      : this.updateTask(id, { subtasks });
+  }
+
+  // ===== Batch changes =====
+  /**
+   * Change many list rows as one undo step, one save and one
+   * 'tasksBatchUpdated' notification. A target is a row: { id, occurrenceDate },
+   * with occurrenceDate set for an occurrence of a repeating series.
+   * @param {Array<{ id: string, occurrenceDate?: string|null }>} targets
+   * @param {Function} getChanges - (task or occurrence) => changes, or null to leave it
+   * @param {{ label: string, wholeSeries?: boolean }} options - Undo label; `wholeSeries`
+   *   applies an occurrence's changes to its series instead of that one occurrence
+   * @returns {number} Rows changed
+   */
+  updateTasksBatch(targets, getChanges, { label, wholeSeries = false }) {
+    const now = new Date().toISOString();
+    const updated = new Map();  // id → replacement task
+    const current = (id) => updated.get(id) || this.getTask(id);
+    const seriesDone = new Set();
+    let count = 0;
+
+    targets.forEach(({ id, occurrenceDate = null }) => {
+      const task = current(id);
+      if (!task) return;
+
+      if (occurrenceDate && task.recurrence && !wholeSeries) {
+        const occurrence = expandTask(task, occurrenceDate, occurrenceDate)
+          .find(o => o.occurrenceDate === occurrenceDate);
+        const changes = occurrence && getChanges(occurrence);
+        if (!changes) return;
+        const exceptions = { ...(task.exceptions || {}) };
+        exceptions[occurrenceDate] = { ...(exceptions[occurrenceDate] || {}), ...changes };
+        updated.set(id, { ...task, exceptions, updatedAt: now });
+      } else {
+        // Several occurrences of one series change the series once
+        if (seriesDone.has(id)) return;
+        seriesDone.add(id);
+        const changes = getChanges(task);
+        if (!changes) return;
+        updated.set(id, { ...task, ...changes, updatedAt: now });
+      }
+      count++;
+    });
+
+    if (count === 0) return 0;
+    this._record(label, ['tasks']);
+    this.tasks = this.tasks.map(t => updated.get(t.id) || t);
+    this._saveTasks();
+    this._notify('tasksBatchUpdated', { label, count });
+    return count;
+  }
+
+  /**
+   * Delete many list rows at once: tasks are removed, occurrences of a
+   * repeating series are skipped (the rest of the series stays).
+   * @param {Array<{ id: string, occurrenceDate?: string|null }>} targets
+   * @returns {{ deleted: number, skipped: number }}
+   */
+  deleteTasksBatch(targets) {
+    const removeIds = new Set();
+    const skips = [];
+    targets.forEach(target => {
+      const task = this.getTask(target.id);
+      if (!task) return;
+      if (target.occurrenceDate && task.recurrence) skips.push(target);
+      else removeIds.add(task.id);
+    });
+    const liveSkips = skips.filter(t => !removeIds.has(t.id));
+    if (removeIds.size + liveSkips.length === 0) return { deleted: 0, skipped: 0 };
+
+    const label = `Delete ${removeIds.size + liveSkips.length} selected`;
+    this._record(label, ['tasks']);
+    const now = new Date().toISOString();
+    const skipDates = new Map();
+    liveSkips.forEach(({ id, occurrenceDate }) => {
+      skipDates.set(id, [...(skipDates.get(id) || []), occurrenceDate]);
+    });
+    this.tasks = this.tasks
+      .filter(t => !removeIds.has(t.id))
+      .map(t => {
+        if (!skipDates.has(t.id)) return t;
+        const exceptions = { ...(t.exceptions || {}) };
+        skipDates.get(t.id).forEach(date => {
+          exceptions[date] = { ...(exceptions[date] || {}), skipped: true };
+        });
+        return { ...t, exceptions, updatedAt: now };
+      });
+    this._saveTasks();
+    this._notify('tasksBatchUpdated', { label, count: removeIds.size + liveSkips.length });
+    return { deleted: removeIds.size, skipped: liveSkips.length };
+  }
+
+  // ===== Recurring occurrences =====
+  /**
+   * Default window of dates that recurring series are expanded into.
+   * @returns {{ start: string, end: string }}
+   */
+  getOccurrenceRange() {
+    const today = localToday();
+    return {
+      start: addDays(today, -OCCURRENCE_WINDOW.past),
+      end: addDays(today, OCCURRENCE_WINDOW.future)
+    };
+  }
+
+  /**
+   * All tasks with recurring series expanded into their occurrences.
+   */
+  getOccurrences(range = this.getOccurrenceRange()) {
+    return expandTasks(this.tasks, range.start, range.end);
+  }
+
+  getOccurrence(id, occurrenceDate) {
+    return this.getOccurrences({ start: occurrenceDate, end: occurrenceDate })
+      .find(o => o.id === id && o.occurrenceDate === occurrenceDate) || null;
+  }
+
+  /**
+   * Change a single occurrence without touching the rest of the series.
+   * The changes are stored as an exception keyed by the original date.
+   */
+  updateOccurrence(id, occurrenceDate, updates) {
+    const task = this.getTask(id);
+    if (!task || !task.recurrence) return null;
+
+    const exceptions = { ...(task.exceptions || {}) };
+    exceptions[occurrenceDate] = { ...(exceptions[occurrenceDate] || {}), ...updates };
+    return this.updateTask(id, { exceptions });
+  }
+
+  skipOccurrence(id, occurrenceDate) {
+    return this.updateOccurrence(id, occurrenceDate, { skipped: true });
+  }
+
   getTask(id) {
     return this.tasks.find(t => t.id === id) || null;
   }
 
-  replaceTasks(tasks) {
-    this.tasks = tasks;
-    saveTasks(this.tasks);
-    this._notify('tasksReplaced', tasks);
+  /**
+   * Apply an import as one undo step: its task list (replacing the current one,
+   * or null to leave tasks alone), its saved searches (same-name ones are
+   * replaced) and its courses (ones with an existing id are replaced).
+   * @returns {{ searches: number, courses: number }} How many were added or replaced
+   */
+  importData({ tasks = null, savedSearches = [], courses = [] }) {
+    const slices = [tasks && 'tasks', savedSearches.length > 0 && 'settings', courses.length > 0 && 'courses'].filter(Boolean);
+    if (slices.length === 0) return { searches: 0, courses: 0 };
+    this._record('Import', slices);
+
+    if (savedSearches.length > 0) {
+      const byName = new Map(this.settings.savedSearches.map(s => [s.name.toLowerCase(), s]));
+      savedSearches.forEach(s => byName.set(s.name.toLowerCase(), s));
+      this.settings = { ...this.settings, savedSearches: [...byName.values()] };
+      saveSettings(this.settings);
+      this._notify('settingsUpdated', this.settings);
+    }
+    if (courses.length > 0) {
+      const byId = new Map(this.courses.map(c => [c.id, c]));
+      courses.forEach(c => byId.set(c.id, c));
+      this.courses = [...byId.values()];
+      saveCourses(this.courses);
+      this._notify('coursesUpdated', this.courses);
+    }
+    if (tasks) {
+      this.tasks = tasks;
+      this._saveTasks();
+      this._notify('tasksReplaced', tasks);
+    }
+    return { searches: savedSearches.length, courses: courses.length };
   }
 
   // ===== Sorting =====
-  sortTasks(field, direction = 'asc') {
+  sortTasks(field, direction = 'asc', range = this.getOccurrenceRange()) {
     const dir = direction === 'asc' ? 1 : -1;
-    const sorted = [...this.tasks].sort((a, b) => {
+    const today = localToday();
+    const sorted = this.getOccurrences(range).sort((a, b) => {
       let valA, valB;
       switch (field) {
         case 'date':
-          valA = a.dueDate;
-          valB = b.dueDate;
+          // All-day tasks come before timed ones on the same day
+          valA = a.startTime ? `${a.dueDate}T${a.startTime}` : a.dueDate;
+          valB = b.startTime ? `${b.dueDate}T${b.startTime}` : b.dueDate;
           break;
         case 'title':
           valA = a.title.toLowerCase();
@@ -96,6 +482,11 @@ class AppState {
           valA = a.duration;
           valB = b.duration;
           break;
+        case 'smart':
+          // Descending puts what to do next first; see priority.js
+          valA = smartScore(a, today);
+          valB = smartScore(b, today);
+          break;
         default:
           return 0;
       }
@@ -107,91 +498,317 @@ class AppState {
   }
 
   // ===== Stats =====
-  getStats() {
-    const total = this.tasks.length;
-    const totalDuration = this.tasks.reduce((sum, t) => sum + t.duration, 0);
-
-    // Top tag
-    const tagCounts = {};
-    this.tasks.forEach(t => {
-      tagCounts[t.tag] = (tagCounts[t.tag] || 0) + 1;
+  /**
+   * Dashboard totals for the occurrences in `range`; `now` sets which local
+   * day (and week) counts as the current one.
+   */
+  getStats(range = this.getOccurrenceRange(), now = new Date()) {
+    return computeStats(this.getOccurrences(range), {
+      today: localToday(now),
+      weekStart: this.settings.weekStart,
+      weeklyCap: this.settings.weeklyCap,
+      tagBudgets: this.settings.tagBudgets,
+      courses: this.courses,
+      sessions: this.sessions
     });
-    const topTag = Object.entries(tagCounts).sort((a, b) => b[1] - a[1])[0];
+  }
 
-    // Tag durations for breakdown
-    const tagDurations = {};
-    this.tasks.forEach(t => {
-      tagDurations[t.tag] = (tagDurations[t.tag] || 0) + t.duration;
+  /**
+   * Dashboard trends: bucketed totals for a range and the period before it.
+   * @param {{ preset?: string, start?: string, end?: string, bucket?: string }} options
+   *   `preset` is week/month/semester/custom (custom uses start/end);
+   *   `bucket` is day/week/month, or 'auto' to pick one for the range
+   */
+  getAnalytics({ preset = 'week', start, end, bucket = 'auto' } = {}, now = new Date()) {
+    const range = resolveRange(preset, localToday(now), { start, end });
+    const tasks = this.getOccurrences({ start: previousRange(range).start, end: range.end });
+    return buildAnalytics(tasks, {
+      range,
+      bucket: bucket === 'auto' ? autoBucket(range) : bucket,
+      weekStart: this.settings.weekStart
     });
+  }
 
-    // Last 7 days trend
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const last7 = [];
-    for (let i = 6; i >= 0; i--) {
-      const d = new Date(today);
-      d.setDate(d.getDate() - i);
-      const dateStr = d.toISOString().split('T')[0];
-      const dayTasks = this.tasks.filter(t => t.dueDate === dateStr);
-      const dayDuration = dayTasks.reduce((sum, t) => sum + t.duration, 0);
-      last7.push({
-        date: dateStr,
-        label: d.toLocaleDateString('en', { weekday: 'short' }),
-        duration: dayDuration,
-        count: dayTasks.length
-      });
+  // ===== Focus timer =====
+  // Timing isn't an undo step: sessions are a log of what happened, not an edit
+
+  /**
+   * Start timing a task (or one occurrence of a series). A timer already going
+   * on another task is stopped first and its time logged.
+   * @returns {object} The running timer
+   */
+  startTimer(taskId, occurrenceDate = null, now = new Date()) {
+    if (this.timer && sessionKey(this.timer.taskId, this.timer.occurrenceDate) !== sessionKey(taskId, occurrenceDate)) {
+      this.stopTimer(now);
     }
+    const timer = this.timer || createTimer(taskId, occurrenceDate, { pomodoro: this.settings.pomodoro });
+    this._setTimer(startTimer(timer, now));
+    return this.timer;
+  }
 
-    // Weekly total for cap
-    const weekStart = new Date(today);
-    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-    const weekStr = weekStart.toISOString().split('T')[0];
-    const weeklyDuration = this.tasks
-      .filter(t => t.dueDate >= weekStr)
-      .reduce((sum, t) => sum + t.duration, 0);
+  pauseTimer(now = new Date()) {
+    if (!this.timer) return;
+    const { timer, sessions } = pauseTimer(this.timer, now);
+    this._logSessions(sessions);
+    this._setTimer(timer);
+  }
 
-    return {
-      total,
-      totalDuration,
-      topTag: topTag ? topTag[0] : '—',
-      tagCounts,
-      tagDurations,
-      last7,
-      weeklyDuration,
-      weeklyCap: this.settings.weeklyCap
-    };
+  /**
+   * Stop the timer and log the focus time since it last started.
+   * @returns {number} Minutes logged
+   */
+  stopTimer(now = new Date()) {
+    if (!this.timer) return 0;
+    const { sessions } = stopTimer(this.timer, now);
+    this._logSessions(sessions);
+    this._setTimer(null);
+    return Object.values(trackedMinutes(sessions)).reduce((sum, m) => sum + m, 0);
+  }
+
+  /**
+   * Switch Pomodoro intervals on or off, for this timer and the next ones.
+   */
+  setPomodoro(pomodoro, now = new Date()) {
+    this.settings = { ...this.settings, pomodoro };
+    saveSettings(this.settings);
+    if (this.timer && this.timer.pomodoro !== pomodoro) {
+      // Log the focus so far and begin a fresh focus phase in the new mode
+      const wasRunning = isRunning(this.timer);
+      const { timer, sessions } = pauseTimer(this.timer, now);
+      this._logSessions(sessions);
+      const next = { ...timer, pomodoro, phase: 'focus', banked: 0 };
+      this._setTimer(wasRunning ? startTimer(next, now) : next);
+    }
+  }
+
+  /**
+   * Catch the timer up with the clock: log finished Pomodoro intervals and move
+   * between focus and break. Call regularly while a timer is running.
+   * @returns {string[]} Phases entered since the last call ('break' or 'focus')
+   */
+  tickTimer(now = new Date()) {
+    if (!this.timer) return [];
+    const { timer, sessions, changes } = advanceTimer(this.timer, now);
+    if (changes.length === 0) return [];
+    this._logSessions(sessions);
+    this._setTimer(timer);
+    return changes;
+  }
+
+  /**
+   * Minutes tracked on a task, or on one occurrence of a series.
+   */
+  getTrackedMinutes(taskId, occurrenceDate = null) {
+    return trackedMinutes(this.sessions)[sessionKey(taskId, occurrenceDate)] || 0;
+  }
+
+  _setTimer(timer) {
+    this.timer = timer;
+    saveTimer(timer);
+    this._notify('timerUpdated', timer);
+  }
+
+  _logSessions(sessions) {
+    if (sessions.length === 0) return;
+    this.sessions = [...this.sessions, ...sessions];
+    saveSessions(this.sessions);
+    this._notify('sessionsUpdated', this.sessions);
   }
 
   // ===== Settings =====
   updateSettings(updates) {
+    this._record('Change settings', ['settings']);
     this.settings = { ...this.settings, ...updates };
     saveSettings(this.settings);
     this._notify('settingsUpdated', this.settings);
   }
 
+  // ===== Saved searches =====
+  /**
+   * Save a search as a smart list, replacing any with the same name (case-insensitive).
+   * @param {{ name: string, query: string, caseSensitive: boolean, sort: { field, dir } }} search
+   */
+  saveSearch(search) {
+    const key = search.name.toLowerCase();
+    const existing = this.settings.savedSearches.findIndex(s => s.name.toLowerCase() === key);
+    this._record(`Save search "${search.name}"`, ['settings']);
+    const savedSearches = [...this.settings.savedSearches];
+    if (existing === -1) savedSearches.push(search);
+    else savedSearches[existing] = search;
+    this.settings = { ...this.settings, savedSearches };
+    saveSettings(this.settings);
+    this._notify('settingsUpdated', this.settings);
+  }
+
+  removeSearch(name) {
+    this._record(`Remove search "${name}"`, ['settings']);
+    this.settings = {
+      ...this.settings,
+      savedSearches: this.settings.savedSearches.filter(s => s.name !== name)
+    };
+    saveSettings(this.settings);
+    this._notify('settingsUpdated', this.settings);
+  }
+
   // ===== Tags =====
   addTag(tag) {
     if (!this.tags.includes(tag)) {
+      this._record(`Add tag "${tag}"`, ['tags']);
       this.tags.push(tag);
       saveTags(this.tags);
       this._notify('tagsUpdated', this.tags);
     }
   }
 
-  removeTag(tag) {
+  /**
+   * Remove a tag from the list. With `reassignTo`, its tasks move to that tag;
+   * otherwise they keep the old tag.
+   * @returns {number} Tasks reassigned
+   */
+  removeTag(tag, reassignTo = null) {
+    if (!reassignTo) {
+      this._record(`Remove tag "${tag}"`, ['tags']);
+      this.tags = this.tags.filter(t => t !== tag);
+      saveTags(this.tags);
+      this._notify('tagsUpdated', this.tags);
+      return 0;
+    }
+
+    this._record(`Remove tag "${tag}" (tasks moved to "${reassignTo}")`, ['tasks', 'tags', 'settings']);
     this.tags = this.tags.filter(t => t !== tag);
+    return this._retag([tag], reassignTo);
+  }
+
+  /**
+   * Rename a tag everywhere: the tag list, every task using it, its color and budget.
+   * Renaming onto a tag that already exists merges the two.
+   * @returns {number} Tasks changed
+   */
+  renameTag(from, to) {
+    if (from === to) return 0;
+    if (this.tags.includes(to)) return this.mergeTags([from], to);
+
+    this._record(`Rename tag "${from}" to "${to}"`, ['tasks', 'tags', 'settings']);
+    this.tags = this.tags.map(t => (t === from ? to : t));
+    const tagColors = { ...this.settings.tagColors };
+    if (tagColors[from]) tagColors[to] = tagColors[from];
+    const tagBudgets = { ...this.settings.tagBudgets };
+    if (tagBudgets[from]) tagBudgets[to] = tagBudgets[from];
+    this.settings = { ...this.settings, tagColors, tagBudgets };
+    return this._retag([from], to);
+  }
+
+  /**
+   * Fold several tags into one: their tasks move to `target` and they leave the list.
+   * @returns {number} Tasks changed
+   */
+  mergeTags(sources, target) {
+    const from = sources.filter(t => t !== target);
+    if (from.length === 0) return 0;
+
+    this._record(`Merge ${from.map(t => `"${t}"`).join(', ')} into "${target}"`, ['tasks', 'tags', 'settings']);
+    this.tags = this.tags.filter(t => !from.includes(t));
+    if (!this.tags.includes(target)) this.tags.push(target);
+    return this._retag(from, target);
+  }
+
+  // Move tasks from `fromTags` to `toTag`, drop the old colors and budgets and save every slice touched
+  _retag(fromTags, toTag) {
+    const { tasks, count } = retagTasks(this.tasks, fromTags, toTag);
+    this.tasks = tasks;
+    const tagColors = { ...this.settings.tagColors };
+    const tagBudgets = { ...this.settings.tagBudgets };
+    fromTags.forEach(tag => {
+      delete tagColors[tag];
+      delete tagBudgets[tag];
+    });
+    this.settings = { ...this.settings, tagColors, tagBudgets };
+    this._saveTasks();
     saveTags(this.tags);
+    saveSettings(this.settings);
     this._notify('tagsUpdated', this.tags);
+    return count;
+  }
+
+  setTagColor(tag, color) {
+    this._record(`Change color of "${tag}"`, ['settings']);
+    this.settings = { ...this.settings, tagColors: { ...this.settings.tagColors, [tag]: color } };
+    saveSettings(this.settings);
+    this._notify('settingsUpdated', this.settings);
+  }
+
+  /**
+   * Set a tag's weekly budget ({ min?, max? } minutes), or clear it with null.
+   */
+  setTagBudget(tag, budget) {
+    this._record(budget ? `Set weekly budget for "${tag}"` : `Remove weekly budget for "${tag}"`, ['settings']);
+    const tagBudgets = { ...this.settings.tagBudgets };
+    if (budget) tagBudgets[tag] = budget;
+    else delete tagBudgets[tag];
+    this.settings = { ...this.settings, tagBudgets };
+    saveSettings(this.settings);
+    this._notify('settingsUpdated', this.settings);
+  }
+
+  // ===== Courses =====
+  getCourse(id) {
+    return findCourse(this.courses, id);
+  }
+
+  /**
+   * @param {{ code, name, instructor, color, termStart, termEnd }} data - Checked with validateCourseForm
+   */
+  addCourse(data) {
+    const course = createCourse(data);
+    this._record(`Add course "${course.code}"`, ['courses']);
+    this.courses = [...this.courses, course];
+    saveCourses(this.courses);
+    this._notify('coursesUpdated', this.courses);
+    return course;
+  }
+
+  updateCourse(id, data) {
+    const existing = this.getCourse(id);
+    if (!existing) return null;
+    const course = { ...createCourse({ ...existing, ...data }), id };
+    this._record(`Edit course "${existing.code}"`, ['courses']);
+    this.courses = this.courses.map(c => (c.id === id ? course : c));
+    saveCourses(this.courses);
+    this._notify('coursesUpdated', this.courses);
+    return course;
+  }
+
+  /**
+   * Remove a course; its tasks stay, no longer linked to any course.
+   * @returns {number} Tasks unlinked
+   */
+  removeCourse(id) {
+    const course = this.getCourse(id);
+    if (!course) return 0;
+    this._record(`Remove course "${course.code}"`, ['courses', 'tasks']);
+    this.courses = this.courses.filter(c => c.id !== id);
+    const { tasks, count } = dropUnknownCourses(this.tasks, this.courses);
+    this.tasks = tasks;
+    saveCourses(this.courses);
+    this._saveTasks();
+    this._notify('coursesUpdated', this.courses);
+    return count;
   }
 
   // ===== Clear =====
   clearAll() {
+    this._record('Clear all data', ['tasks', 'settings', 'tags', 'courses', 'sessions']);
     this.tasks = [];
-    this.settings = { durationUnit: 'minutes', weeklyCap: 0 };
+    this.courses = [];
+    this.sessions = [];
+    this._setTimer(null);
+    this.settings = { durationUnit: 'minutes', weeklyCap: 0, dailyCap: 0, weekStart: 0, pomodoro: false, savedSearches: [], tagColors: {}, tagBudgets: {} };
     this.tags = ['Study', 'Assignment', 'Club', 'Sports', 'Social', 'Errands', 'Other'];
-    saveTasks(this.tasks);
+    this._saveTasks();
     saveSettings(this.settings);
     saveTags(this.tags);
+    saveCourses(this.courses);
+    saveSessions(this.sessions);
     this._notify('cleared', null);
   }
 }
@@ -1,57 +1,381 @@
 /**
  * storage.js — Persistence layer
- * Handles localStorage save/load and JSON import/export with validation
+ * Handles task storage (IndexedDB, falling back to localStorage), settings/tags/courses/history
+ * and focus timer sessions in localStorage, schema migrations and JSON import/export
+ * with validation
  */
 
+import { validateRecurrence, validateSubtasks, validateExceptions, validateField } from './validators.js';
+import { SCHEMA_VERSION, migrate, migrateTasks } from './migrations.js';
+import { isTagColor, isTagBudget } from './tags.js';
+import { PRIORITIES, DEFAULT_PRIORITY, isPriority } from './priority.js';
+import { createSubtask } from './subtasks.js';
+import { WEEK_STARTS, isValidDate } from './dates.js';
+import { openTaskDB, readAllTasks, writeTaskChanges } from './idb.js';
+import { isSession, isTimer } from './timer.js';
+import { validateCourses, dropUnknownCourses } from './courses.js';
+import { migratePatch } from './history.js';
+
 const DATA_KEY = 'clp:tasks';
 const SETTINGS_KEY = 'clp:settings';
 const TAGS_KEY = 'clp:tags';
+const COURSES_KEY = 'clp:courses';
 const THEME_KEY = 'clp:theme';
+const HISTORY_KEY = 'clp:history';
+const SESSIONS_KEY = 'clp:sessions';
+const TIMER_KEY = 'clp:timer';
+const SCHEMA_KEY = 'clp:schema';
+const QUARANTINE_KEY = 'clp:quarantine';
+
+// Tells other tabs that the IndexedDB task store changed (it fires no storage events)
+const SYNC_CHANNEL = 'clp:sync';
 
 // ===== Default tags =====
 const DEFAULT_TAGS = ['Study', 'Assignment', 'Club', 'Sports', 'Social', 'Errands', 'Other'];
 
-// ===== Task data =====
-export function loadTasks() {
+// Keys whose unreadable data could not be copied aside; never overwrite these
+const protectedKeys = new Set();
+
+// ===== Quarantine =====
+/**
+ * Move unreadable stored data aside so the next save can't destroy it.
+ * The raw string is kept under clp:quarantine for download from Settings.
+ */
+function quarantine(key, raw, reason) {
+  try {
+    const entries = loadQuarantine();
+    entries.push({ key, raw, reason, at: new Date().toISOString() });
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify(entries));
+    localStorage.removeItem(key);
+  } catch {
+    // No room for a copy: leave the original where it is and stop saving over it
+    protectedKeys.add(key);
+  }
+  console.warn(`Unreadable data in ${key} was quarantined: ${reason}`);
+}
+
+/**
+ * Parse a stored value, quarantining it when it isn't valid JSON of the expected shape.
+ * @returns {*} Parsed value, or null when the key is empty or was quarantined
+ */
+function readStored(key, isValid) {
+  const raw = localStorage.getItem(key);
+  if (raw === null) return null;
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (e) {
+    quarantine(key, raw, 'Invalid JSON: ' + e.message);
+    return null;
+  }
+  if (!isValid(value)) {
+    quarantine(key, raw, 'Unexpected data shape');
+    return null;
+  }
+  return value;
+}
+
+function writeStored(key, value) {
+  if (protectedKeys.has(key)) {
+    console.warn(`Not saving ${key}: it holds unreadable data that could not be quarantined`);
+    return;
+  }
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    reportError(e, key.replace('clp:', ''));
+  }
+}
+
+// ===== Save errors =====
+const errorListeners = [];
+
+function isQuotaError(err) {
+  return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+}
+
+/**
+ * Call `callback({ quota, message, error })` whenever a save fails.
+ * Saves never throw; this is the only way failures surface.
+ */
+export function onStorageError(callback) {
+  errorListeners.push(callback);
+}
+
+function reportError(err, what) {
+  const quota = isQuotaError(err);
+  const message = quota
+    ? `Storage is full, so your latest ${what} changes were not saved. Export your data and delete old tasks to free space.`
+    : `Your latest ${what} changes could not be saved${err && err.message ? ` (${err.message})` : ''}.`;
+  console.error(message, err);
+  errorListeners.forEach(fn => fn({ quota, message, error: err }));
+}
+
+export function loadQuarantine() {
   try {
-    return JSON.parse(localStorage.getItem(DATA_KEY) || '[]');
+    const stored = JSON.parse(localStorage.getItem(QUARANTINE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
   } catch {
-    console.warn('Failed to parse tasks from localStorage');
     return [];
   }
 }
 
+export function clearQuarantine() {
+  localStorage.removeItem(QUARANTINE_KEY);
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// ===== Schema migrations =====
+/**
+ * Bring stored data up to SCHEMA_VERSION. Run once at startup, before any load.
+ * Unversioned data that exists is treated as version 1. Data written by a newer
+ * version of the app is left untouched.
+ * @returns {{ from: number, to: number }}
+ */
+export function migrateStorage() {
+  const hasData = [DATA_KEY, SETTINGS_KEY, TAGS_KEY].some(k => localStorage.getItem(k) !== null);
+  const from = Number(localStorage.getItem(SCHEMA_KEY)) || (hasData ? 1 : SCHEMA_VERSION);
+
+  if (from > SCHEMA_VERSION) {
+    console.warn(`Stored data uses schema ${from}, newer than this app (${SCHEMA_VERSION}); leaving it as is`);
+    return { from, to: from };
+  }
+
+  if (from < SCHEMA_VERSION) {
+    const stored = {
+      tasks: readStored(DATA_KEY, Array.isArray),
+      settings: readStored(SETTINGS_KEY, isPlainObject),
+      tags: readStored(TAGS_KEY, Array.isArray)
+    };
+    const migrated = migrate(stored, from);
+    if (migrated.tasks) writeStored(DATA_KEY, migrated.tasks);
+    if (migrated.settings) writeStored(SETTINGS_KEY, migrated.settings);
+    if (migrated.tags) writeStored(TAGS_KEY, migrated.tags);
+
+    // Undo steps restore old tasks and slices, so they need the same upgrade
+    const history = loadHistory();
+    const upgrade = entry => ({
+      ...entry,
+      state: migrate(entry.state || {}, from),
+      ...(entry.tasks && { tasks: migratePatch(entry.tasks, from) })
+    });
+    saveHistory({ undo: history.undo.map(upgrade), redo: history.redo.map(upgrade) });
+  }
+
+  localStorage.setItem(SCHEMA_KEY, String(SCHEMA_VERSION));
+  return { from, to: SCHEMA_VERSION };
+}
+
+// ===== Task storage backend =====
+// With IndexedDB, tasks are kept one record per task and mirrored in memory
+// so loadTasks/saveTasks stay synchronous; without it they live in clp:tasks.
+let taskDB = null;
+let taskCache = new Map();  // id → task object as last written to IndexedDB
+let taskOrder = [];         // ids in list order, as last written
+let rewriteAll = false;     // a write failed, so the cache can't be trusted for diffing
+let channel = null;
+
+/**
+ * Prepare storage: run schema migrations, then open IndexedDB and move any
+ * tasks still in localStorage into it. Falls back to localStorage when
+ * IndexedDB is unavailable. Must finish before the first loadTasks.
+ * @returns {Promise<'indexedDB'|'localStorage'>} The backend in use
+ */
+export async function initStorage() {
+  const { from } = migrateStorage();
+
+  try {
+    taskDB = await openTaskDB();
+  } catch (e) {
+    console.warn('IndexedDB unavailable, keeping tasks in localStorage:', e.message);
+    return 'localStorage';
+  }
+
+  try {
+    let tasks = await readAllTasks(taskDB);
+    const legacy = readStored(DATA_KEY, Array.isArray);
+    if (legacy) {
+      // localStorage is only written while IndexedDB is unusable, so it is the newer copy
+      await writeTaskChanges(taskDB, { clear: true, put: legacy, order: legacy.map(t => t.id) });
+      localStorage.removeItem(DATA_KEY);
+      tasks = legacy;
+    } else if (from < SCHEMA_VERSION) {
+      tasks = migrateTasks(tasks, from);
+      await writeTaskChanges(taskDB, { clear: true, put: tasks, order: tasks.map(t => t.id) });
+    }
+    rememberWritten(tasks);
+  } catch (e) {
+    console.warn('IndexedDB failed, keeping tasks in localStorage:', e.message);
+    taskDB = null;
+    return 'localStorage';
+  }
+
+  if (typeof BroadcastChannel !== 'undefined') channel = new BroadcastChannel(SYNC_CHANNEL);
+  return 'indexedDB';
+}
+
+export function getStorageBackend() {
+  return taskDB ? 'indexedDB' : 'localStorage';
+}
+
+function rememberWritten(tasks) {
+  taskCache = new Map(tasks.map(t => [t.id, t]));
+  taskOrder = tasks.map(t => t.id);
+}
+
+// ===== Task data =====
+export function loadTasks() {
+  if (taskDB) return taskOrder.map(id => taskCache.get(id));
+  return readStored(DATA_KEY, Array.isArray) || [];
+}
+
+/**
+ * Persist the task list. With IndexedDB only tasks whose object changed since
+ * the last save are written (AppState replaces a task object whenever it
+ * changes it), plus deletions and the list order when it moved.
+ */
 export function saveTasks(tasks) {
-  localStorage.setItem(DATA_KEY, JSON.stringify(tasks));
+  if (!taskDB) {
+    writeStored(DATA_KEY, tasks);
+    return;
+  }
+
+  const ids = tasks.map(t => t.id);
+  const changes = { order: ids };
+  if (rewriteAll) {
+    Object.assign(changes, { clear: true, put: tasks });
+  } else {
+    const kept = new Set(ids);
+    changes.put = tasks.filter(t => taskCache.get(t.id) !== t);
+    changes.remove = taskOrder.filter(id => !kept.has(id));
+    const moved = ids.length !== taskOrder.length || ids.some((id, i) => id !== taskOrder[i]);
+    if (!moved) changes.order = null;
+    if (changes.put.length === 0 && changes.remove.length === 0 && !moved) return;
+  }
+
+  rememberWritten(tasks);
+  rewriteAll = false;
+  writeTaskChanges(taskDB, changes)
+    .then(() => channel && channel.postMessage({ slice: 'tasks' }))
+    .catch(err => {
+      rewriteAll = true;
+      reportError(err, 'task');
+    });
 }
 
 // ===== Settings =====
 export function loadSettings() {
-  try {
-    const defaults = { durationUnit: 'minutes', weeklyCap: 0 };
-    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
-    return { ...defaults, ...stored };
-  } catch {
-    return { durationUnit: 'minutes', weeklyCap: 0 };
+  const defaults = { durationUnit: 'minutes', weeklyCap: 0, dailyCap: 0, weekStart: 0, pomodoro: false, savedSearches: [], tagColors: {}, tagBudgets: {} };
+  const settings = { ...defaults, ...readStored(SETTINGS_KEY, isPlainObject) };
+  // Drop entries that don't validate rather than the whole settings object
+  settings.savedSearches = validateSavedSearches(settings.savedSearches).searches;
+  settings.tagColors = Object.fromEntries(Object.entries(isPlainObject(settings.tagColors) ? settings.tagColors : {})
+    .filter(([, color]) => isTagColor(color)));
+  settings.tagBudgets = Object.fromEntries(Object.entries(isPlainObject(settings.tagBudgets) ? settings.tagBudgets : {})
+    .filter(([, budget]) => isTagBudget(budget)));
+  if (!WEEK_STARTS.includes(settings.weekStart)) settings.weekStart = defaults.weekStart;
+  if (typeof settings.pomodoro !== 'boolean') settings.pomodoro = defaults.pomodoro;
+  return settings;
+}
+
+// ===== Saved searches =====
+const SORT_FIELDS = ['date', 'title', 'duration', 'smart'];
+
+/**
+ * Validate and normalize one saved search (smart list):
+ * { name, query, caseSensitive, sort: { field, dir } }
+ * @returns {{ search: object|null, issues: string[] }}
+ */
+export function validateSavedSearch(item) {
+  if (!isPlainObject(item)) return { search: null, issues: ['not a valid object'] };
+
+  const issues = [];
+  if (typeof item.name !== 'string' || !item.name.trim()) issues.push('missing or invalid name');
+  if (typeof item.query !== 'string') issues.push('missing or invalid query');
+  if (item.caseSensitive !== undefined && typeof item.caseSensitive !== 'boolean') {
+    issues.push('invalid caseSensitive (must be true or false)');
   }
+  const sort = item.sort || { field: 'date', dir: 'desc' };
+  if (!SORT_FIELDS.includes(sort.field) || !['asc', 'desc'].includes(sort.dir)) {
+    issues.push(`invalid sort (field must be ${SORT_FIELDS.join('/')}, dir asc/desc)`);
+  }
+  if (issues.length > 0) return { search: null, issues };
+
+  return {
+    search: {
+      name: item.name.trim(),
+      query: item.query,
+      caseSensitive: item.caseSensitive === true,
+      sort: { field: sort.field, dir: sort.dir }
+    },
+    issues
+  };
+}
+
+/**
+ * Validate a list of saved searches, keeping the last one of any duplicate name.
+ * @returns {{ searches: Array, errors: string[] }}
+ */
+export function validateSavedSearches(list) {
+  if (list == null) return { searches: [], errors: [] };
+  if (!Array.isArray(list)) return { searches: [], errors: ['Saved searches must be an array.'] };
+
+  const byName = new Map();
+  const errors = [];
+  list.forEach((item, i) => {
+    const { search, issues } = validateSavedSearch(item);
+    if (search) byName.set(search.name.toLowerCase(), search);
+    else errors.push(`Saved search ${i} (${(item && item.name) || 'no name'}): ${issues.join(', ')}`);
+  });
+  return { searches: [...byName.values()], errors };
 }
 
 export function saveSettings(settings) {
-  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  writeStored(SETTINGS_KEY, settings);
 }
 
 // ===== Tags =====
 export function loadTags() {
-  try {
-    const stored = JSON.parse(localStorage.getItem(TAGS_KEY));
-    return Array.isArray(stored) && stored.length > 0 ? stored : [...DEFAULT_TAGS];
-  } catch {
-    return [...DEFAULT_TAGS];
-  }
+  const stored = readStored(TAGS_KEY, Array.isArray);
+  return stored && stored.length > 0 ? stored : [...DEFAULT_TAGS];
 }
 
 export function saveTags(tags) {
-  localStorage.setItem(TAGS_KEY, JSON.stringify(tags));
+  writeStored(TAGS_KEY, tags);
+}
+
+// ===== Courses =====
+export function loadCourses() {
+  // Drop courses that don't validate rather than the whole list
+  return validateCourses(readStored(COURSES_KEY, Array.isArray) || []).courses;
+}
+
+export function saveCourses(courses) {
+  writeStored(COURSES_KEY, courses);
+}
+
+// ===== Focus timer =====
+export function loadSessions() {
+  // Drop sessions that don't validate rather than the whole log
+  return (readStored(SESSIONS_KEY, Array.isArray) || []).filter(isSession);
+}
+
+export function saveSessions(sessions) {
+  writeStored(SESSIONS_KEY, sessions);
+}
+
+/**
+ * The running or paused timer, or null when none is set.
+ */
+export function loadTimer() {
+  const timer = readStored(TIMER_KEY, value => value === null || isPlainObject(value));
+  return isTimer(timer) ? timer : null;
+}
+
+export function saveTimer(timer) {
+  if (timer) writeStored(TIMER_KEY, timer);
+  else localStorage.removeItem(TIMER_KEY);
 }
 
 // ===== Theme =====
@@ -63,84 +387,361 @@ export function saveTheme(theme) {
   localStorage.setItem(THEME_KEY, theme);
 }
 
+// ===== Undo/redo history =====
+export function loadHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_KEY) || 'null');
+    if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) return stored;
+  } catch {
+    console.warn('Failed to parse history from localStorage');
+  }
+  return { undo: [], redo: [] };
+}
+
+/**
+ * Persist history. History is a convenience, so when storage is full the
+ * oldest entries are dropped until it fits rather than failing the save.
+ */
+export function saveHistory(history) {
+  const trimmed = { undo: [...history.undo], redo: [...history.redo] };
+  for (;;) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(trimmed));
+      return;
+    } catch {
+      if (trimmed.undo.length > 0) trimmed.undo.shift();
+      else if (trimmed.redo.length > 0) trimmed.redo.shift();
+      else return;
+    }
+  }
+}
+
+// ===== Changes from other tabs =====
+const SYNCED_KEYS = {
+  [DATA_KEY]: 'tasks', [SETTINGS_KEY]: 'settings', [TAGS_KEY]: 'tags', [COURSES_KEY]: 'courses',
+  [HISTORY_KEY]: 'history', [SESSIONS_KEY]: 'sessions', [TIMER_KEY]: 'timer'
+};
+
+/**
+ * Call `callback(slice, value)` when another tab writes tasks, settings, tags, courses,
+ * history, timer sessions or the timer.
+ * `value` is the parsed new value, or null when the key was removed.
+ * The browser only fires `storage` events in the other tabs, never the writer.
+ * @returns {Function} Unsubscribe
+ */
+export function onExternalChange(callback) {
+  // IndexedDB writes are announced on the channel; re-read the store to pick them up
+  const onMessage = async (e) => {
+    if (!taskDB || e.data.slice !== 'tasks') return;
+    try {
+      const tasks = await readAllTasks(taskDB);
+      if (!rewriteAll) rememberWritten(tasks);
+      callback('tasks', tasks);
+    } catch (err) {
+      console.warn('Could not read tasks changed in another tab:', err.message);
+    }
+  };
+  if (channel) channel.addEventListener('message', onMessage);
+
+  const handler = (e) => {
+    const slice = SYNCED_KEYS[e.key];
+    if (!slice || e.storageArea !== localStorage) return;
+    let value = null;
+    try {
+      value = e.newValue === null ? null : JSON.parse(e.newValue);
+    } catch {
+      // Half-written or foreign data; this tab's next load will quarantine it
+      return;
+    }
+    callback(slice, value);
+  };
+  window.addEventListener('storage', handler);
+  return () => {
+    window.removeEventListener('storage', handler);
+    if (channel) channel.removeEventListener('message', onMessage);
+  };
+}
+
 // ===== JSON Import Validation =====
 /**
- * Validates an imported JSON array of tasks.
- * Returns { valid: boolean, data: [], errors: [] }
+ * Validate and normalize one imported task object.
+ * Shared by the JSON and iCalendar importers.
+ * @returns {{ task: object|null, issues: string[] }}
+ */
+export function validateTask(item) {
+  const issues = [];
+
+  if (!item || typeof item !== 'object') {
+    return { task: null, issues: ['not a valid object'] };
+  }
+
+  // Required fields
+  if (typeof item.id !== 'string' || !item.id.trim()) {
+    issues.push('missing or invalid id');
+  }
+  if (typeof item.title !== 'string' || !item.title.trim()) {
+    issues.push('missing or invalid title');
+  }
+  if (typeof item.duration !== 'number' || item.duration < 0) {
+    issues.push('missing or invalid duration (must be non-negative number)');
+  }
+  if (typeof item.tag !== 'string' || !item.tag.trim()) {
+    issues.push('missing or invalid tag');
+  }
+  if (typeof item.dueDate !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(item.dueDate)) {
+    issues.push('missing or invalid dueDate (YYYY-MM-DD)');
+  } else if (!isValidDate(item.dueDate)) {
+    issues.push(`invalid dueDate (${item.dueDate} does not exist)`);
+  }
+  if (item.startTime != null && !validateField('time', item.startTime).valid) {
+    issues.push('invalid startTime (must be 24-hour HH:MM)');
+  }
+  if (item.priority != null && !isPriority(item.priority)) {
+    issues.push(`invalid priority (must be ${PRIORITIES.join(', ')})`);
+  }
+  if (item.courseId != null && (typeof item.courseId !== 'string' || !item.courseId)) {
+    issues.push('invalid courseId (must be a course id or null)');
+  }
+  // Optional completion fields (older exports have neither)
+  if (item.completed !== undefined && typeof item.completed !== 'boolean') {
+    issues.push('invalid completed (must be true or false)');
+  }
+  if (item.completedAt != null && (typeof item.completedAt !== 'string' || isNaN(Date.parse(item.completedAt)))) {
+    issues.push('invalid completedAt (must be an ISO timestamp)');
+  }
+  // Optional repeat rule + per-occurrence exceptions
+  const recurrenceCheck = validateRecurrence(item.recurrence, item.dueDate);
+  if (!recurrenceCheck.valid) {
+    issues.push(recurrenceCheck.error);
+  }
+  const exceptionCheck = validateExceptions(item.exceptions);
+  if (!exceptionCheck.valid) {
+    issues.push(exceptionCheck.error);
+  }
+
+  const subtaskCheck = validateSubtasks(item.subtasks);
+  if (!subtaskCheck.valid) {
+    issues.push(subtaskCheck.error);
+  }
+
+  if (issues.length > 0) {
+    return { task: null, issues };
+  }
+
+  // Normalize: ensure timestamps
+  const completed = item.completed === true;
+  return {
+    task: {
+      id: item.id,
+      title: item.title.trim(),
+      dueDate: item.dueDate,
+      startTime: item.startTime || null,
+      duration: Number(item.duration),
+      tag: item.tag.trim(),
+      priority: item.priority || DEFAULT_PRIORITY,
+      courseId: item.courseId || null,
+      notes: (item.notes || '').trim(),
+      subtasks: normalizeSubtasks(item.subtasks),
+      completed,
+      completedAt: completed ? (item.completedAt || item.updatedAt || new Date().toISOString()) : null,
+      recurrence: item.recurrence || null,
+      exceptions: item.recurrence ? (item.exceptions || {}) : {},
+      createdAt: item.createdAt || new Date().toISOString(),
+      updatedAt: item.updatedAt || new Date().toISOString()
+    },
+    issues
+  };
+}
+
+/**
+ * Fill in subtask defaults; missing or repeated ids get fresh ones.
  */
-export function validateImport(json) {
+function normalizeSubtasks(subtasks) {
+  const seen = new Set();
+  return (subtasks || []).map(sub => {
+    const fresh = createSubtask(sub.title, sub.duration);
+    const id = typeof sub.id === 'string' && sub.id && !seen.has(sub.id) ? sub.id : fresh.id;
+    seen.add(id);
+    return { ...fresh, id, done: sub.done === true };
+  });
+}
+
+/**
+ * Validates an imported JSON export: either a versioned export
+ * ({ schemaVersion, tasks }) or a bare task array from older versions.
+ * Older data is migrated before validation. Versioned exports may also carry
+ * saved searches and courses, returned as `savedSearches` and `courses`.
+ * A task may only link to a course in the file or in `knownCourses` (the ones
+ * already stored); links to any other course are reported and dropped.
+ * Returns { valid: boolean, data: [], savedSearches: [], courses: [], errors: [] }
+ */
+export function validateImport(json, knownCourses = []) {
   const errors = [];
+  const failed = (error) => ({ valid: false, data: [], savedSearches: [], courses: [], errors: [error] });
 
-  let data;
+  let parsed;
   try {
-    data = typeof json === 'string' ? JSON.parse(json) : json;
+    parsed = typeof json === 'string' ? JSON.parse(json) : json;
   } catch (e) {
-    return { valid: false, data: [], errors: ['Invalid JSON: ' + e.message] };
+    return failed('Invalid JSON: ' + e.message);
+  }
+
+  // Bare arrays predate versioned exports
+  let version = 1;
+  let data = parsed;
+  let savedSearches = [];
+  let courses = [];
+  if (isPlainObject(parsed) && 'schemaVersion' in parsed) {
+    version = Number(parsed.schemaVersion);
+    data = parsed.tasks;
+    if (!Number.isInteger(version) || version < 1) {
+      return failed('Invalid schemaVersion in export.');
+    }
+    if (version > SCHEMA_VERSION) {
+      return failed(`This file was exported by a newer version of the planner (schema ${version}). Update the app to import it.`);
+    }
+    const searchCheck = validateSavedSearches(parsed.savedSearches);
+    savedSearches = searchCheck.searches;
+    errors.push(...searchCheck.errors);
+    const courseCheck = validateCourses(parsed.courses);
+    courses = courseCheck.courses;
+    errors.push(...courseCheck.errors);
   }
 
   if (!Array.isArray(data)) {
-    return { valid: false, data: [], errors: ['Data must be an array of task objects.'] };
+    return failed('Data must be an array of task objects.');
   }
 
+  data = migrateTasks(data, version);
+
   const validTasks = [];
+  const courseIds = new Set([...courses, ...knownCourses].map(c => c.id));
+  const firstItem = new Map();  // id → index of the item that brought it
 
   data.forEach((item, i) => {
-    const issues = [];
-
     if (!item || typeof item !== 'object') {
       errors.push(`Item ${i}: Not a valid object.`);
       return;
     }
 
-    // Required fields
-    if (typeof item.id !== 'string' || !item.id.trim()) {
-      issues.push('missing or invalid id');
-    }
-    if (typeof item.title !== 'string' || !item.title.trim()) {
-      issues.push('missing or invalid title');
-    }
-    if (typeof item.duration !== 'number' || item.duration < 0) {
-      issues.push('missing or invalid duration (must be non-negative number)');
-    }
-    if (typeof item.tag !== 'string' || !item.tag.trim()) {
-      issues.push('missing or invalid tag');
-    }
-    if (typeof item.dueDate !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(item.dueDate)) {
-      issues.push('missing or invalid dueDate (YYYY-MM-DD)');
-    }
-
+    const { task, issues } = validateTask(item);
     if (issues.length > 0) {
       errors.push(`Item ${i} (${item.id || 'no-id'}): ${issues.join(', ')}`);
+      return;
+    }
+    // Ids are unique: the store, undo and lookups all key on them
+    if (firstItem.has(task.id)) {
+      errors.push(`Item ${i} (${task.id}): same id as item ${firstItem.get(task.id)}; skipped`);
+      return;
+    }
+    firstItem.set(task.id, i);
+    // Referential check: the course must come with the file or already exist
+    const linked = [task.courseId, ...Object.values(task.exceptions).map(change => change && change.courseId)];
+    const unknown = [...new Set(linked.filter(id => id && !courseIds.has(id)))];
+    if (unknown.length > 0) {
+      errors.push(`Item ${i} (${task.id}): unknown course ${unknown.join(', ')}; the link was dropped`);
+      validTasks.push(dropUnknownCourses([task], [...courses, ...knownCourses], task.updatedAt).tasks[0]);
     } else {
-      // Normalize: ensure timestamps
-      validTasks.push({
-        id: item.id,
-        title: item.title.trim(),
-        dueDate: item.dueDate,
-        duration: Number(item.duration),
-        tag: item.tag.trim(),
-        notes: (item.notes || '').trim(),
-        createdAt: item.createdAt || new Date().toISOString(),
-        updatedAt: item.updatedAt || new Date().toISOString()
-      });
+      validTasks.push(task);
     }
   });
 
   return {
     valid: errors.length === 0,
     data: validTasks,
+    savedSearches,
+    courses,
     errors
   };
 }
 
+// ===== Merge Import =====
+// Fields compared when deciding whether two tasks with the same id differ
+// (with the value older data implies when a field is missing)
+const MERGE_FIELDS = {
+  title: '', dueDate: '', startTime: null, duration: 0, tag: '', priority: 'medium', courseId: null, notes: '',
+  subtasks: [], completed: false, completedAt: null, recurrence: null, exceptions: {}
+};
+
+function sameTask(a, b) {
+  return Object.entries(MERGE_FIELDS).every(([f, fallback]) =>
+    JSON.stringify(a[f] ?? fallback) === JSON.stringify(b[f] ?? fallback)
+  );
+}
+
+/**
+ * Compare validated incoming tasks against existing ones by id.
+ * Conflicts get a suggested resolution: whichever side has the newer updatedAt.
+ * @returns {{ added: Array, identical: Array, conflicts: Array<{ mine, theirs, suggested: 'mine'|'theirs' }> }}
+ */
+export function planMerge(existing, incoming) {
+  const byId = new Map(existing.map(t => [t.id, t]));
+  const plan = { added: [], identical: [], conflicts: [] };
+  const planned = new Set();
+
+  incoming.forEach(theirs => {
+    // validateImport already reports repeated ids; never plan one twice
+    if (planned.has(theirs.id)) return;
+    planned.add(theirs.id);
+    const mine = byId.get(theirs.id);
+    if (!mine) {
+      plan.added.push(theirs);
+    } else if (sameTask(mine, theirs)) {
+      plan.identical.push(theirs);
+    } else {
+      const theirsNewer = Date.parse(theirs.updatedAt) > Date.parse(mine.updatedAt);
+      plan.conflicts.push({ mine, theirs, suggested: theirsNewer ? 'theirs' : 'mine' });
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Apply a merge plan. `resolutions` maps a conflicting id to 'mine',
+ * 'theirs' or 'both' (falls back to the suggested resolution).
+ * "Both" keeps the existing task and adds the incoming one under a new id.
+ * @returns {{ tasks: Array, counts: { added: number, updated: number, skipped: number } }}
+ */
+export function applyMerge(existing, plan, resolutions = {}) {
+  const tasks = [...existing];
+  const counts = { added: 0, updated: 0, skipped: plan.identical.length };
+
+  plan.conflicts.forEach(({ mine, theirs, suggested }) => {
+    const choice = resolutions[mine.id] || suggested;
+    if (choice === 'theirs') {
+      tasks[tasks.findIndex(t => t.id === mine.id)] = theirs;
+      counts.updated++;
+    } else if (choice === 'both') {
+      tasks.unshift({ ...theirs, id: `task_${Date.now()}_${Math.random().toString(36).slice(2, 6)}` });
+      counts.added++;
+    } else {
+      counts.skipped++;
+    }
+  });
+
+  tasks.unshift(...plan.added);
+  counts.added += plan.added.length;
+
+  return { tasks, counts };
+}
+
 // ===== JSON Export =====
-export function exportJSON(tasks) {
-  return JSON.stringify(tasks, null, 2);
+/**
+ * Export tasks (with saved searches and courses) with the schema version so
+ * future versions can migrate the file on import.
+ */
+export function exportJSON(tasks, savedSearches = [], courses = []) {
+  return JSON.stringify({ schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), tasks, savedSearches, courses }, null, 2);
 }
 
 // ===== Clear all data =====
 export function clearAllData() {
+  if (taskDB) saveTasks([]);
   localStorage.removeItem(DATA_KEY);
   localStorage.removeItem(SETTINGS_KEY);
   localStorage.removeItem(TAGS_KEY);
+  localStorage.removeItem(COURSES_KEY);
+  localStorage.removeItem(HISTORY_KEY);
+  localStorage.removeItem(QUARANTINE_KEY);
 }
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * subtasks.js — Per-task checklists
+ * A task may break down into subtasks ({ id, title, done, duration }), where
+ * `duration` (minutes) is optional. Pure helpers for progress and for how
+ * subtask durations roll up into a task's planned and finished minutes.
+ *
+ * Roll-up: a task stands for its own duration, or the sum of its subtask
+ * durations when that is larger, so breaking work down never loses time.
+ * Ticked subtasks count as finished minutes before the task itself is done.
+ */
+
+export function createSubtask(title, duration = null) {
+  return {
+    id: `sub_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    title: title.trim(),
+    done: false,
+    duration: duration == null || duration === '' ? null : Number(duration)
+  };
+}
+
+/**
+ * @returns {{ done: number, total: number }}
+ */
+export function subtaskProgress(task) {
+  const list = task.subtasks || [];
+  return { done: list.filter(s => s.done).length, total: list.length };
+}
+
+/**
+ * Minutes a task stands for: its duration or, if larger, its subtasks' total.
+ */
+export function plannedMinutes(task) {
+  const subtotal = (task.subtasks || []).reduce((sum, s) => sum + (s.duration || 0), 0);
+  return Math.max(task.duration, subtotal);
+}
+
+/**
+ * Minutes already finished: everything for a completed task, otherwise the
+ * durations of its ticked subtasks.
+ */
+export function doneMinutes(task) {
+  const planned = plannedMinutes(task);
+  if (task.completed) return planned;
+  const ticked = (task.subtasks || []).filter(s => s.done).reduce((sum, s) => sum + (s.duration || 0), 0);
+  return Math.min(ticked, planned);
+}
+
+/**
+ * Minutes still to do.
+ */
+export function remainingMinutes(task) {
+  return plannedMinutes(task) - doneMinutes(task);
+}
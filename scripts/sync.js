@@ -0,0 +1,110 @@
+/**
+ * sync.js — Cross-tab reconciliation
+ * Merges a task list written by another tab into this tab's list using the
+ * last list both tabs agreed on (the "base") as a three-way reference:
+ *
+ *   - a field only one side changed takes that side's value
+ *   - a field both sides changed differently takes the newer task's value
+ *     (by updatedAt) and is reported as a conflict
+ *   - a task deleted on one side stays deleted unless the other side edited it
+ */
+
+// JSON with object keys sorted, so key order never counts as a difference
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const same = (a, b) => canonical(a) === canonical(b);
+
+// Bookkeeping fields that never count as a change on their own
+const IGNORED_FIELDS = ['updatedAt'];
+
+function newer(a, b) {
+  return Date.parse(a.updatedAt || 0) > Date.parse(b.updatedAt || 0) ? a : b;
+}
+
+/**
+ * Merge two versions of one task field by field.
+ * @returns {{ task: object, conflict: boolean }}
+ */
+function mergeTask(base, mine, theirs) {
+  if (same(mine, theirs)) return { task: theirs, conflict: false };
+  // Same id created independently on both sides: nothing to compare against
+  if (!base) return { task: newer(mine, theirs), conflict: true };
+
+  const winner = newer(mine, theirs);
+  const task = {};
+  let conflict = false;
+  const fields = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const [b, m, t] = [base[field], mine[field], theirs[field]];
+    let value;
+    if (same(m, t) || same(m, b)) value = t;
+    else if (same(t, b)) value = m;
+    else {
+      value = winner[field];
+      conflict = true;
+    }
+    if (value !== undefined) task[field] = value;
+  });
+  task.updatedAt = winner.updatedAt;
+  return { task, conflict };
+}
+
+/**
+ * Reconcile this tab's tasks with a list written by another tab.
+ * @param {Array} base - Last list both tabs had in common
+ * @param {Array} mine - This tab's current list
+ * @param {Array} theirs - List just written by the other tab
+ * @returns {{ tasks: Array, conflicts: Array<object>, writeBack: boolean }}
+ *   `conflicts` are the merged tasks where a local change was overridden or a
+ *   deletion was undone; `writeBack` is true when the result differs from
+ *   `theirs` and must be saved so the other tab picks up this tab's changes.
+ */
+export function reconcileTasks(base, mine, theirs) {
+  const baseById = new Map(base.map(t => [t.id, t]));
+  const mineById = new Map(mine.map(t => [t.id, t]));
+  const theirIds = new Set(theirs.map(t => t.id));
+  const conflicts = [];
+  const tasks = [];
+
+  // Added here and not yet seen by the other tab (new tasks go first, as in addTask)
+  mine.forEach(t => {
+    if (!theirIds.has(t.id) && !baseById.has(t.id)) tasks.push(t);
+  });
+
+  // Deleted there, but edited here since: keep the edit
+  mine.forEach(t => {
+    const b = baseById.get(t.id);
+    if (!theirIds.has(t.id) && b && !same(t, b)) {
+      tasks.push(t);
+      conflicts.push(t);
+    }
+  });
+
+  theirs.forEach(t => {
+    const m = mineById.get(t.id);
+    const b = baseById.get(t.id);
+    if (m) {
+      const { task, conflict } = mergeTask(b, m, t);
+      tasks.push(task);
+      if (conflict) conflicts.push(task);
+    } else if (!b) {
+      // Added there
+      tasks.push(t);
+    } else if (!same(t, b)) {
+      // Deleted here, but edited there since: keep the edit
+      tasks.push(t);
+      conflicts.push(t);
+    }
+    // Otherwise deleted here and untouched there: stays deleted
+  });
+
+  return { tasks, conflicts, writeBack: !same(tasks, theirs) };
+}
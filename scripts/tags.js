@@ -0,0 +1,116 @@
+/**
+ * tags.js — Tag colors, weekly budgets, usage counts and cascading renames
+ * Pure helpers used by state.js (rename/merge/reassign) and ui.js (colors, counts).
+ *
+ * A weekly budget (settings.tagBudgets[tag]) is { min?, max? } in minutes:
+ * at least `min` and/or at most `max` of the tag's tasks due in a week.
+ */
+
+// Default colors, picked by tag name so a tag keeps its color across reloads
+export const TAG_PALETTE = ['#4f46e5', '#0891b2', '#059669', '#d97706', '#dc2626', '#db2777', '#7c3aed', '#65a30d'];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export function isTagColor(value) {
+  return typeof value === 'string' && HEX_COLOR.test(value);
+}
+
+const isMinutes = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Whether a stored budget is usable: a min and/or max in whole minutes, min ≤ max.
+ */
+export function isTagBudget(budget) {
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) return false;
+  const { min, max } = budget;
+  if (min === undefined && max === undefined) return false;
+  if (min !== undefined && !isMinutes(min)) return false;
+  if (max !== undefined && !isMinutes(max)) return false;
+  return min === undefined || max === undefined || min <= max;
+}
+
+/**
+ * Read a budget from the Settings inputs. Empty fields mean no limit.
+ * @param {string} minText - Minutes
+ * @param {string} maxText - Minutes
+ * @returns {{ budget: object|null, error: string|null }} `budget` is null (with no
+ *   error) when both fields are empty, i.e. the budget is being cleared
+ */
+export function parseTagBudget(minText, maxText) {
+  const budget = {};
+  for (const [key, text] of [['min', minText], ['max', maxText]]) {
+    const value = String(text ?? '').trim();
+    if (value === '') continue;
+    if (!/^\d+$/.test(value)) {
+      return { budget: null, error: `${key === 'min' ? 'Minimum' : 'Maximum'} must be a whole number of minutes.` };
+    }
+    budget[key] = Number(value);
+  }
+  if (budget.min === undefined && budget.max === undefined) return { budget: null, error: null };
+  if (!isTagBudget(budget)) return { budget: null, error: 'The minimum cannot be more than the maximum.' };
+  return { budget, error: null };
+}
+
+/**
+ * Color for a tag: the user's choice from settings.tagColors, else a palette color.
+ * @param {string} tag
+ * @param {Object<string, string>} tagColors
+ */
+export function tagColor(tag, tagColors = {}) {
+  if (isTagColor(tagColors[tag])) return tagColors[tag];
+  let hash = 0;
+  for (const ch of tag.toLowerCase()) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
+
+/**
+ * Number of tasks per tag (a repeating series counts once).
+ * Occurrences re-tagged on their own count towards their own tag as well.
+ * @returns {Object<string, number>}
+ */
+export function countTags(tasks) {
+  const counts = {};
+  tasks.forEach(task => {
+    const tags = new Set([task.tag]);
+    Object.values(task.exceptions || {}).forEach(change => {
+      if (change && change.tag) tags.add(change.tag);
+    });
+    tags.forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Move every task tagged with one of `fromTags` to `toTag`, including
+ * per-occurrence tag changes. Untouched tasks keep their identity.
+ * @param {Array} tasks
+ * @param {string[]} fromTags
+ * @param {string} toTag
+ * @param {string} now - ISO timestamp for updatedAt
+ * @returns {{ tasks: Array, count: number }} `count` is the number of tasks changed
+ */
+export function retagTasks(tasks, fromTags, toTag, now = new Date().toISOString()) {
+  const from = new Set(fromTags);
+  let count = 0;
+  const result = tasks.map(task => {
+    let changed = from.has(task.tag);
+    const exceptions = { ...(task.exceptions || {}) };
+    Object.keys(exceptions).forEach(date => {
+      if (exceptions[date] && from.has(exceptions[date].tag)) {
+        exceptions[date] = { ...exceptions[date], tag: toTag };
+        changed = true;
+      }
+    });
+    if (!changed) return task;
+    count++;
+    return {
+      ...task,
+      tag: from.has(task.tag) ? toTag : task.tag,
+      exceptions,
+      updatedAt: now
+    };
+  });
+  return { tasks: result, count };
+}
@@ -0,0 +1,170 @@
+/**
+ * timer.js — Focus timer & tracked time
+ * The timer is plain data, saved on every change so it carries on after a reload:
+ *
+ *   { taskId, occurrenceDate, pomodoro, phase: 'focus'|'break', cycle, runningSince, banked }
+ *
+ * `runningSince` is an ISO timestamp while the timer runs (null while paused),
+ * `banked` the milliseconds of the current phase that ran before it and `cycle`
+ * the number of Pomodoro focus intervals finished. Elapsed time is always worked
+ * out from the clock rather than counted in ticks, so a closed or throttled tab
+ * loses nothing.
+ *
+ * Each stretch of focus (start or resume until pause, stop or the end of a
+ * Pomodoro interval) is logged as a session { id, taskId, occurrenceDate, start, end }
+ * with ISO timestamps. Breaks are not logged.
+ */
+
+// Pomodoro lengths in minutes; every `longEvery`th break is a long one
+export const POMODORO = { focus: 25, shortBreak: 5, longBreak: 15, longEvery: 4 };
+
+const MINUTE = 60000;
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Key for the task (or one occurrence of a series) a session belongs to.
+ */
+export function sessionKey(taskId, occurrenceDate = null) {
+  return occurrenceDate ? `${taskId}@${occurrenceDate}` : taskId;
+}
+
+/**
+ * A paused timer for a task, ready to start.
+ */
+export function createTimer(taskId, occurrenceDate = null, { pomodoro = false } = {}) {
+  return { taskId, occurrenceDate, pomodoro, phase: 'focus', cycle: 0, runningSince: null, banked: 0 };
+}
+
+export function isRunning(timer) {
+  return !!timer && timer.runningSince !== null;
+}
+
+/**
+ * Milliseconds spent in the current phase.
+ */
+export function timerElapsed(timer, now = new Date()) {
+  return timer.banked + (isRunning(timer) ? Math.max(0, now - Date.parse(timer.runningSince)) : 0);
+}
+
+/**
+ * Length of the current phase in milliseconds, or null when it has none
+ * (focus without Pomodoro runs until stopped).
+ */
+export function phaseLength(timer) {
+  if (!timer.pomodoro) return null;
+  if (timer.phase === 'focus') return POMODORO.focus * MINUTE;
+  const long = timer.cycle > 0 && timer.cycle % POMODORO.longEvery === 0;
+  return (long ? POMODORO.longBreak : POMODORO.shortBreak) * MINUTE;
+}
+
+/**
+ * Milliseconds left in the current phase, or null when it has no end.
+ */
+export function timerRemaining(timer, now = new Date()) {
+  const length = phaseLength(timer);
+  return length === null ? null : Math.max(0, length - timerElapsed(timer, now));
+}
+
+function createSession(timer, start, end) {
+  return {
+    id: `ses_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    taskId: timer.taskId,
+    occurrenceDate: timer.occurrenceDate,
+    start,
+    end
+  };
+}
+
+// The focus run that is going on now, as a session (none under a second)
+function currentSession(timer, now) {
+  if (!isRunning(timer) || timer.phase !== 'focus') return [];
+  if (now - Date.parse(timer.runningSince) < 1000) return [];
+  return [createSession(timer, timer.runningSince, now.toISOString())];
+}
+
+export function startTimer(timer, now = new Date()) {
+  return isRunning(timer) ? timer : { ...timer, runningSince: now.toISOString() };
+}
+
+/**
+ * @returns {{ timer: object, sessions: Array }} The paused timer and the focus run it ends
+ */
+export function pauseTimer(timer, now = new Date()) {
+  if (!isRunning(timer)) return { timer, sessions: [] };
+  return {
+    timer: { ...timer, banked: timerElapsed(timer, now), runningSince: null },
+    sessions: currentSession(timer, now)
+  };
+}
+
+/**
+ * @returns {{ sessions: Array }} The focus run the stop ends, if any
+ */
+export function stopTimer(timer, now = new Date()) {
+  return { sessions: currentSession(timer, now) };
+}
+
+/**
+ * Move a Pomodoro timer past any phases that have ended by `now`. A finished
+ * focus interval is logged and its break starts right away; when a break ends
+ * the timer waits, paused, for the next focus interval to be started.
+ * @returns {{ timer: object, sessions: Array, changes: string[] }} `changes`
+ *   lists the phases entered ('break' or 'focus'), oldest first
+ */
+export function advanceTimer(timer, now = new Date()) {
+  const sessions = [];
+  const changes = [];
+  let current = timer;
+  while (isRunning(current) && phaseLength(current) !== null && timerElapsed(current, now) >= phaseLength(current)) {
+    const phaseEnd = new Date(Date.parse(current.runningSince) + phaseLength(current) - current.banked);
+    if (current.phase === 'focus') {
+      sessions.push(...currentSession(current, phaseEnd));
+      current = { ...current, phase: 'break', cycle: current.cycle + 1, banked: 0, runningSince: phaseEnd.toISOString() };
+      changes.push('break');
+    } else {
+      current = { ...current, phase: 'focus', banked: 0, runningSince: null };
+      changes.push('focus');
+    }
+  }
+  return { timer: current, sessions, changes };
+}
+
+export function sessionMinutes(session) {
+  return (Date.parse(session.end) - Date.parse(session.start)) / MINUTE;
+}
+
+/**
+ * Tracked minutes per task or occurrence (see sessionKey), rounded to the minute.
+ * @returns {Object<string, number>}
+ */
+export function trackedMinutes(sessions) {
+  const totals = {};
+  sessions.forEach(s => {
+    const key = sessionKey(s.taskId, s.occurrenceDate);
+    totals[key] = (totals[key] || 0) + sessionMinutes(s);
+  });
+  Object.keys(totals).forEach(key => {
+    totals[key] = Math.round(totals[key]);
+  });
+  return totals;
+}
+
+// ===== Stored data checks =====
+export function isSession(value) {
+  return !!value && typeof value === 'object' &&
+    typeof value.id === 'string' && typeof value.taskId === 'string' &&
+    (value.occurrenceDate === null || typeof value.occurrenceDate === 'string') &&
+    isTimestamp(value.start) && isTimestamp(value.end) && Date.parse(value.end) >= Date.parse(value.start);
+}
+
+export function isTimer(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.taskId === 'string' &&
+    (value.occurrenceDate === null || typeof value.occurrenceDate === 'string') &&
+    typeof value.pomodoro === 'boolean' &&
+    ['focus', 'break'].includes(value.phase) &&
+    Number.isInteger(value.cycle) && value.cycle >= 0 &&
+    (value.runningSince === null || isTimestamp(value.runningSince)) &&
+    Number.isFinite(value.banked) && value.banked >= 0;
+}
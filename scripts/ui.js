@@ -1,12 +1,26 @@
 /**
  * ui.js — DOM rendering & event handling
- * Manages all UI updates: records table/cards, dashboard stats, form, settings, navigation
+ * Manages all UI updates: records table/cards, dashboard stats, calendar, form, settings, navigation
  */
 
 import state from './state.js';
-import { validateField, validateForm } from './validators.js';
+import { validateField, validateForm, extractTime, parseSubtaskLines } from './validators.js';
 import { filterTasks, highlight, escapeHTML } from './search.js';
-import { validateImport, exportJSON, loadTheme, saveTheme } from './storage.js';
+import {
+  validateImport, exportJSON, loadTheme, saveTheme, planMerge, applyMerge, loadQuarantine, clearQuarantine
+} from './storage.js';
+import { exportICS, importICS } from './ical.js';
+import { CSV_FIELDS, exportCSV, parseCSV, guessMapping, detectDateFormat, guessDurationUnit, parseDateValue, parseDurationValue, importCSV } from './csv.js';
+import { describeRecurrence, addMinutes, timeToMinutes } from './recurrence.js';
+import { localToday, daysBetween, addDays, parseDate, formatDate, startOfWeek, weekRange } from './dates.js';
+import { parseRoute, buildRoute } from './router.js';
+import { tagColor, countTags, parseTagBudget } from './tags.js';
+import { findConflicts, checkSchedule } from './conflicts.js';
+import { DEFAULT_PRIORITY, PRIORITIES, priorityLabel, rankTasks } from './priority.js';
+import { subtaskProgress, plannedMinutes } from './subtasks.js';
+import { validateRange } from './analytics.js';
+import { POMODORO, isRunning, timerElapsed, timerRemaining, phaseLength, sessionKey } from './timer.js';
+import { sortCourses, validateCourseForm, inTerm, countCourseTasks, DEFAULT_COURSE_COLOR } from './courses.js';
 
 // ===== DOM References =====
 const $ = (sel) => document.querySelector(sel);
@@ -17,6 +31,7 @@ const pages = {
   about: $('#about'),
   dashboard: $('#dashboard'),
   records: $('#records'),
+  calendar: $('#calendar'),
   add: $('#add'),
   settings: $('#settings')
 };
@@ -29,7 +44,23 @@ const statusAssertive = $('#status-assertive');
 let currentSort = { field: 'date', dir: 'desc' };
 let currentSearch = '';
 let caseSensitive = false;
-let editingTaskId = null;   // tracks which row is being inline-edited (null = none)
+let currentStatus = 'all';  // completion filter: 'all' | 'open' | 'done'
+let currentCourse = 'all';  // course filter: 'all' | 'none' | course id
+let editingKey = null;      // row key of the row being inline-edited (null = none)
+let calendarView = 'month'; // 'month' | 'week' | 'day'
+let calendarDate = null;    // focused day in the calendar (YYYY-MM-DD), null = today
+let pendingMerge = null;    // { plan, errors } while the merge preview is open
+let pendingCsv = null;      // { rows, mode } while the CSV column mapping is open
+let movingTask = null;      // task picked up for keyboard rescheduling (null = none)
+let draggedTask = null;     // task being dragged with the mouse (null = none)
+let currentHash = null;     // hash of the route on screen, to ignore our own history entries
+let selectedKeys = new Set(); // row keys ticked for batch actions
+let lastSelectedKey = null;   // anchor row for shift-click ranges
+let visibleRows = new Map();  // row key → task, in list order, as last rendered
+let rowConflicts = new Map(); // row key → conflict descriptions, as last rendered
+let openChecklists = new Set(); // row keys whose subtask checklist is expanded
+let analyticsRange = { preset: 'week', bucket: 'auto', start: null, end: null }; // dashboard trends
+let focusTick = null;         // interval updating the focus timer while it runs
 
 // ===== Announce (A11y) =====
 export function announce(message, priority = 'polite') {
@@ -51,10 +82,99 @@ function formatDuration(minutes) {
   return `${minutes} min`;
 }
 
+// ===== Time of day =====
+// "10:30–11:15" for timed tasks, '' for all-day ones
+function formatTimeRange(task) {
+  if (!task.startTime) return '';
+  return `${task.startTime}–${addMinutes(task.dueDate, task.startTime, task.duration).time}`;
+}
+
 function getUnitLabel() {
   return state.settings.durationUnit === 'hours' ? 'hr' : 'min';
 }
 
+// ===== Row keys =====
+// Occurrences of a recurring series share the task id, so rows are keyed by id + date
+function rowKey(task) {
+  return task.occurrenceDate ? `${task.id}@${task.occurrenceDate}` : task.id;
+}
+
+function rowAttrs(task) {
+  const occ = task.occurrenceDate ? ` data-occurrence="${task.occurrenceDate}"` : '';
+  return `data-id="${escapeHTML(task.id)}" data-key="${escapeHTML(rowKey(task))}"${occ}`;
+}
+
+// Attribute selector for a row's elements; keys hold imported ids, so quotes are escaped
+function rowSelector(key) {
+  return `[data-key="${CSS.escape(key)}"]`;
+}
+
+// ===== Tag colors =====
+function tagStyle(tag) {
+  return ` style="--tag-color:${tagColor(tag, state.settings.tagColors)}"`;
+}
+
+// ===== Courses =====
+function courseBadge(task) {
+  const course = state.getCourse(task.courseId);
+  if (!course) return '';
+  return `<span class="course-badge" style="--course-color:${course.color}" title="${escapeHTML(course.name)}"><span class="sr-only">Course:</span> ${escapeHTML(course.code)}</span>`;
+}
+
+/**
+ * <option>s for a course picker: current and upcoming terms first (see sortCourses).
+ * Courses whose term doesn't hold `date` are marked, not hidden.
+ */
+function courseOptions(selected, date = localToday()) {
+  return sortCourses(state.courses, localToday()).map(c => {
+    const note = inTerm(c, date) ? '' : ' (other term)';
+    return `<option value="${escapeHTML(c.id)}"${c.id === selected ? ' selected' : ''}>${escapeHTML(`${c.code} — ${c.name}${note}`)}</option>`;
+  }).join('');
+}
+
+function recurrenceBadge(task) {
+  if (!task.recurrence) return '';
+  const text = describeRecurrence(task.recurrence);
+  return `<span class="recur-badge" title="Repeats: ${escapeHTML(text)}">🔁 ${escapeHTML(text)}</span>`;
+}
+
+// Medium is the default, so only the other priorities get a badge
+function priorityBadge(task) {
+  if (!task.priority || task.priority === DEFAULT_PRIORITY) return '';
+  return `<span class="priority-badge priority-badge--${task.priority}"><span class="sr-only">Priority:</span> ${priorityLabel(task.priority)}</span>`;
+}
+
+function subtaskBadge(task) {
+  const { done, total } = subtaskProgress(task);
+  if (total === 0) return '';
+  return `<span class="subtask-badge${done === total ? ' subtask-badge--done' : ''}" title="${done} of ${total} subtasks done">☑ <span class="sr-only">Subtasks:</span> ${done}/${total}</span>`;
+}
+
+function conflictBadge(task) {
+  const reasons = rowConflicts.get(rowKey(task));
+  if (!reasons) return '';
+  return `<span class="conflict-badge">⚠️ <span class="sr-only">Conflict:</span> ${escapeHTML(reasons.join(' · '))}</span>`;
+}
+
+/**
+ * Overlaps and over-cap days among `tasks`, as descriptions per row key.
+ */
+function collectConflicts(tasks) {
+  const dailyCap = state.settings.dailyCap;
+  const { overlaps, overloadedDays } = findConflicts(tasks, { dailyCap });
+  const byKey = new Map();
+  const add = (task, reason) => byKey.set(rowKey(task), [...(byKey.get(rowKey(task)) || []), reason]);
+
+  overlaps.forEach(({ tasks: [a, b] }) => {
+    add(a, `Overlaps "${b.title}" (${formatTimeRange(b)})`);
+    add(b, `Overlaps "${a.title}" (${formatTimeRange(a)})`);
+  });
+  overloadedDays.forEach(({ total, tasks: dayTasks }) => {
+    dayTasks.forEach(t => add(t, `Day over the daily cap (${formatDuration(total)} of ${formatDuration(dailyCap)})`));
+  });
+  return byKey;
+}
+
 // ===== Navigation =====
 export function initNav() {
   const navLinks = $$('.nav-link');
@@ -98,7 +218,18 @@ export function initNav() {
   });
 }
 
-export function navigateTo(page) {
+/**
+ * Show a page and add it to the browser history.
+ * Focus moves to the page heading unless `focus` is false (callers that focus
+ * something specific on the page, e.g. a form field, do that afterwards).
+ */
+export function navigateTo(page, { focus = true } = {}) {
+  showPage(page);
+  pushRoute(buildRoute({ page, search: page === 'records' ? getSearchState() : null }));
+  if (focus) focusPageHeading(page);
+}
+
+function showPage(page) {
   // Hide all pages
   Object.values(pages).forEach(p => {
     p.classList.remove('active');
@@ -119,16 +250,150 @@ export function navigateTo(page) {
   // Refresh content on page switch
   if (page === 'dashboard') renderDashboard();
   if (page === 'records') renderRecords();
+  if (page === 'calendar') renderCalendar();
   if (page === 'settings') renderSettings();
   if (page === 'add') resetForm();
 }
 
+// ===== Routing =====
+/**
+ * Show the page the URL points at and keep following the back/forward buttons.
+ * Call after the other init functions, since a route may restore a search.
+ */
+export function initRouter() {
+  const onRouteChange = () => {
+    if (location.hash === currentHash) return;
+    const route = parseRoute(location.hash);
+    // Not a route (e.g. the skip link's #main-content): stay where we are
+    if (route) applyRoute(route);
+  };
+  // Back/forward fires popstate; typing a hash or following a task link fires hashchange
+  window.addEventListener('popstate', onRouteChange);
+  window.addEventListener('hashchange', onRouteChange);
+
+  applyRoute(parseRoute(location.hash) || parseRoute(''), { focus: false });
+}
+
+function applyRoute(route, { focus = true } = {}) {
+  currentHash = location.hash;
+  if (route.search) restoreSearchState(route.search);
+  showPage(route.page);
+  if (route.taskId) showTaskRoute(route.taskId, focus);
+  else if (focus) focusPageHeading(route.page);
+}
+
+function pushRoute(hash) {
+  if (location.hash !== hash) history.pushState(null, '', hash);
+  currentHash = location.hash;
+}
+
+/**
+ * Keep the URL in step with the Tasks page's search, sort and filter. Replaces
+ * the history entry so back doesn't step through every keystroke.
+ */
+function replaceRecordsRoute() {
+  if (!pages.records.classList.contains('active')) return;
+  const hash = buildRoute({ page: 'records', search: getSearchState() });
+  if (location.hash !== hash) history.replaceState(null, '', hash);
+  currentHash = location.hash;
+}
+
+function focusPageHeading(page) {
+  const heading = pages[page] && pages[page].querySelector('.page-title');
+  if (heading) heading.focus();
+}
+
+/**
+ * #/task/<id>: show the task on the Tasks page — clearing a search or filter
+ * that hides it — then scroll to it and focus its title link. A series goes
+ * to its next occurrence.
+ */
+function showTaskRoute(id, focus) {
+  const task = state.getTask(id);
+  if (!task) {
+    announce('That task no longer exists. It may have been deleted.', 'assertive');
+    if (focus) focusPageHeading('records');
+    return;
+  }
+
+  if (!getVisibleTasks().filtered.some(t => t.id === id)) {
+    restoreSearchState({ query: '', caseSensitive: false, sort: currentSort, status: 'all', course: 'all' });
+    renderRecords();
+  }
+
+  const today = localToday();
+  const matches = (selector) => [...$$(selector)].filter(el => el.dataset.id === id);
+  const pick = (els) => els.find(el => !el.dataset.occurrence || el.dataset.occurrence >= today) || els[0];
+  const row = pick(matches('#records-tbody tr'));
+  const card = pick(matches('#records-cards .record-card'));
+  if (!row && !card) {
+    announce(`"${task.title}" has no occurrences in the current range.`, 'assertive');
+    return;
+  }
+
+  [row, card].forEach(el => el && el.classList.add('route-target'));
+  // The table and the cards are swapped by CSS; use whichever is showing
+  const target = getComputedStyle($('#records-table')).display === 'none' ? card : row;
+  if (target && target.scrollIntoView) target.scrollIntoView({ block: 'center' });
+  if (focus && target) target.querySelector('.record-link').focus();
+  announce(`Showing "${task.title}", due ${(target || row || card).dataset.date}.`);
+}
+
 // =============================================================================
 //  RECORDS RENDERING — Table (desktop) + Cards (mobile)
 // =============================================================================
-export function renderRecords() {
+/**
+ * Tasks as the Tasks page currently shows them (search, status and course filters and sort applied).
+ */
+function getSearchState() {
+  return { query: currentSearch, caseSensitive, sort: { ...currentSort }, status: currentStatus, course: currentCourse };
+}
+
+/**
+ * Restore the Tasks page's search, case sensitivity, sort and filter (from a
+ * route or a saved search) and reflect them in the controls.
+ */
+function restoreSearchState({ query, caseSensitive: matchCase, sort, status = currentStatus, course = currentCourse }) {
+  currentSearch = query;
+  caseSensitive = matchCase;
+  currentSort = { ...sort };
+  currentStatus = status;
+  currentCourse = course;
+  $('#search-input').value = currentSearch;
+  $('#search-case').checked = caseSensitive;
+  $('#status-filter').value = currentStatus;
+  renderCourseFilter();
+  updateSortButtons();
+}
+
+function getVisibleTasks() {
   const sorted = state.sortTasks(currentSort.field, currentSort.dir);
-  const { filtered, regex, error } = filterTasks(sorted, currentSearch, caseSensitive);
+  return filterTasks(sorted, currentSearch, caseSensitive, currentStatus,
+    { weekStart: state.settings.weekStart, courses: state.courses }, currentCourse);
+}
+
+/**
+ * Fill the course filter, falling back to all courses when the chosen one is gone.
+ */
+function renderCourseFilter() {
+  if (!['all', 'none'].includes(currentCourse) && !state.getCourse(currentCourse)) currentCourse = 'all';
+  $('#course-filter').innerHTML = '<option value="all">All courses</option><option value="none">No course</option>' +
+    courseOptions(currentCourse);
+  $('#course-filter').value = currentCourse;
+}
+
+export function renderRecords() {
+  renderCourseFilter();
+  const { filtered, regex, error } = getVisibleTasks();
+  renderSavedSearches();
+
+  // Only rows on screen stay selected, so a batch action never touches hidden tasks
+  visibleRows = new Map(filtered.map(task => [rowKey(task), task]));
+  selectedKeys = new Set([...selectedKeys].filter(key => visibleRows.has(key)));
+  renderBulkBar();
+
+  // Conflicts are found among all tasks, so clashes with hidden ones still show
+  rowConflicts = collectConflicts(state.getOccurrences());
 
   // Search error
   const searchError = $('#search-error');
@@ -154,14 +419,14 @@ export function renderRecords() {
 
   // ---- Build table rows ----
   tbody.innerHTML = filtered.map(task =>
-    editingTaskId === task.id
+    editingKey === rowKey(task)
       ? renderTableRowEditing(task)
       : renderTableRow(task, regex)
   ).join('');
 
   // ---- Build mobile cards ----
   cards.innerHTML = filtered.map(task =>
-    editingTaskId === task.id
+    editingKey === rowKey(task)
       ? renderCardEditing(task)
       : renderCard(task, regex)
   ).join('');
@@ -178,18 +443,32 @@ function renderTableRow(task, regex) {
   const dur = formatDuration(task.duration);
 
   return `
-    <tr data-id="${task.id}">
+    <tr ${rowAttrs(task)} data-date="${task.dueDate}" draggable="true"${rowClass(task)}>
+      <td>${renderSelectToggle(task)}</td>
+      <td>${renderCompleteToggle(task)}</td>
       <td>
-        <span class="record-title">${title}</span>
+        <a class="record-title record-link" href="${buildRoute({ taskId: task.id })}">${title}</a>
+        ${priorityBadge(task)}
+        ${subtaskBadge(task)}
+        ${recurrenceBadge(task)}
+        ${conflictBadge(task)}
         ${notes ? `<br><small style="color:var(--clr-text-muted)">${notes}</small>` : ''}
+        ${renderChecklist(task)}
+      </td>
+      <td>
+        <span class="record-date">${escapeHTML(task.dueDate)}</span>
+        ${task.startTime ? `<br><small class="record-time">${formatTimeRange(task)}</small>` : ''}
       </td>
-      <td>${escapeHTML(task.dueDate)}</td>
       <td>${dur}</td>
-      <td><span class="record-card-tag">${tag}</span></td>
+      <td><span class="record-card-tag"${tagStyle(task.tag)}>${tag}</span>${courseBadge(task)}</td>
       <td>
         <div class="action-btns">
           <button class="btn-icon btn-edit" aria-label="Edit ${escapeHTML(task.title)}" title="Edit">✏️</button>
-          <button class="btn-icon btn-icon--danger btn-delete" aria-label="Delete ${escapeHTML(task.title)}" title="Delete">🗑️</button>
+          ${renderChecklistToggle(task, '')}
+          <button class="btn-icon btn-focus" aria-label="Time ${escapeHTML(task.title)} with the focus timer" title="Focus timer">⏲️</button>
+          <button class="btn-icon btn-move" aria-label="Reschedule ${escapeHTML(task.title)}" aria-pressed="false" title="Reschedule (arrow keys)">📅</button>
+          ${task.occurrenceDate ? `<button class="btn-icon btn-skip" aria-label="Skip ${escapeHTML(task.title)} on ${task.occurrenceDate}" title="Skip this occurrence">⏭️</button>` : ''}
+          <button class="btn-icon btn-icon--danger btn-delete" aria-label="Delete ${escapeHTML(task.title)}${task.recurrence ? ' series' : ''}" title="Delete">🗑️</button>
         </div>
       </td>
     </tr>
@@ -199,7 +478,9 @@ function renderTableRow(task, regex) {
 // --------------- Inline-editing row (table) ---------------
 function renderTableRowEditing(task) {
   return `
-    <tr data-id="${task.id}" class="editing">
+    <tr ${rowAttrs(task)} class="editing">
+      <td></td>
+      <td></td>
       <td>
         <input class="edit-input" data-field="title" value="${escapeHTML(task.title)}"
                aria-label="Edit title" placeholder="Title">
@@ -209,6 +490,8 @@ function renderTableRowEditing(task) {
       <td>
         <input class="edit-input" data-field="dueDate" value="${escapeHTML(task.dueDate)}"
                aria-label="Edit due date" placeholder="YYYY-MM-DD">
+        <input class="edit-input" data-field="startTime" value="${escapeHTML(task.startTime || '')}"
+               aria-label="Edit start time" placeholder="HH:MM" style="margin-top:4px;width:70px">
       </td>
       <td>
         <input class="edit-input" data-field="duration" value="${task.duration}"
@@ -217,12 +500,15 @@ function renderTableRowEditing(task) {
       <td>
         <input class="edit-input" data-field="tag" value="${escapeHTML(task.tag)}"
                aria-label="Edit tag" placeholder="Tag" list="tag-suggestions">
+        ${renderPrioritySelect(task, 'edit-input', 'margin-top:4px')}
+        ${renderCourseSelect(task, 'edit-input', 'margin-top:4px')}
       </td>
       <td>
         <div class="action-btns">
           <button class="btn-icon btn-icon--save btn-save" aria-label="Save changes" title="Save">💾</button>
           <button class="btn-icon btn-cancel-edit" aria-label="Cancel edit" title="Cancel">✖️</button>
         </div>
+        ${renderSeriesScope(task)}
         <span class="inline-edit-error" role="alert" style="color:var(--clr-danger);font-size:0.78rem;display:block;margin-top:4px"></span>
       </td>
     </tr>
@@ -236,28 +522,163 @@ function renderCard(task, regex) {
   const dur = formatDuration(task.duration);
 
   return `
-    <div class="record-card" data-id="${task.id}">
+    <div class="record-card${task.completed ? ' completed' : ''}${selectedKeys.has(rowKey(task)) ? ' selected' : ''}${rowConflicts.has(rowKey(task)) ? ' conflict' : ''}" ${rowAttrs(task)} data-date="${task.dueDate}" draggable="true">
       <div class="record-card-header">
-        <span class="record-card-title">${title}</span>
-        <span class="record-card-tag">${tag}</span>
+        ${renderSelectToggle(task)}
+        ${renderCompleteToggle(task)}
+        <a class="record-card-title record-link" href="${buildRoute({ taskId: task.id })}">${title}</a>
+        ${priorityBadge(task)}
+        <span class="record-card-tag"${tagStyle(task.tag)}>${tag}</span>
+        ${courseBadge(task)}
       </div>
       <div class="record-card-meta">
-        <span>📅 ${escapeHTML(task.dueDate)}</span>
+        <span>📅 <span class="record-date">${escapeHTML(task.dueDate)}</span></span>
+        ${task.startTime ? `<span>🕒 <span class="record-time">${formatTimeRange(task)}</span></span>` : ''}
         <span>⏱️ ${dur}</span>
+        ${subtaskBadge(task)}
+        ${recurrenceBadge(task)}
+        ${conflictBadge(task)}
       </div>
       ${task.notes ? `<p style="font-size:0.85rem;color:var(--clr-text-muted);margin-bottom:var(--space-sm)">${highlight(task.notes, regex)}</p>` : ''}
+      ${renderChecklist(task)}
       <div class="record-card-actions">
         <button class="btn-icon btn-edit" aria-label="Edit ${escapeHTML(task.title)}">✏️ Edit</button>
-        <button class="btn-icon btn-icon--danger btn-delete" aria-label="Delete ${escapeHTML(task.title)}">🗑️ Delete</button>
+        ${renderChecklistToggle(task, ' Checklist')}
+        <button class="btn-icon btn-focus" aria-label="Time ${escapeHTML(task.title)} with the focus timer">⏲️ Focus</button>
+        <button class="btn-icon btn-move" aria-label="Reschedule ${escapeHTML(task.title)}" aria-pressed="false">📅 Move</button>
+        ${task.occurrenceDate ? `<button class="btn-icon btn-skip" aria-label="Skip ${escapeHTML(task.title)} on ${task.occurrenceDate}">⏭️ Skip</button>` : ''}
+        <button class="btn-icon btn-icon--danger btn-delete" aria-label="Delete ${escapeHTML(task.title)}${task.recurrence ? ' series' : ''}">🗑️ Delete</button>
+      </div>
+    </div>
+  `;
+}
+
+function rowClass(task) {
+  const classes = [
+    task.completed && 'completed',
+    selectedKeys.has(rowKey(task)) && 'selected',
+    rowConflicts.has(rowKey(task)) && 'conflict'
+  ].filter(Boolean);
+  return classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+}
+
+// --------------- Priority picker (inline edit) ---------------
+function renderPrioritySelect(task, className, style = '') {
+  const current = task.priority || DEFAULT_PRIORITY;
+  return `
+    <select class="${className}" data-field="priority" aria-label="Edit priority"${style ? ` style="${style}"` : ''}>
+      ${PRIORITIES.map(p => `<option value="${p}"${p === current ? ' selected' : ''}>${priorityLabel(p)}</option>`).join('')}
+    </select>`;
+}
+
+// --------------- Course picker (inline edit) ---------------
+function renderCourseSelect(task, className, style = '') {
+  return `
+    <select class="${className}" data-field="courseId" aria-label="Edit course"${style ? ` style="${style}"` : ''}>
+      <option value="">No course</option>
+      ${courseOptions(task.courseId, task.dueDate)}
+    </select>`;
+}
+
+// --------------- Subtask checklist (row + card) ---------------
+function renderChecklistToggle(task, text) {
+  const open = openChecklists.has(rowKey(task));
+  return `<button class="btn-icon btn-checklist" aria-expanded="${open}" aria-label="Checklist for ${escapeHTML(task.title)}" title="Checklist">☑️${text}</button>`;
+}
+
+function renderChecklist(task) {
+  if (!openChecklists.has(rowKey(task))) return '';
+  const subtasks = task.subtasks || [];
+  return `
+    <div class="subtask-panel">
+      ${subtasks.length === 0 ? '<p class="subtask-empty">No subtasks yet.</p>' : `
+      <ul class="subtask-list" aria-label="Subtasks of ${escapeHTML(task.title)}">
+        ${subtasks.map(sub => `
+          <li class="subtask-item${sub.done ? ' done' : ''}" data-sub="${escapeHTML(sub.id)}">
+            <label>
+              <input type="checkbox" class="subtask-done" ${sub.done ? 'checked' : ''}>
+              <span class="subtask-title">${escapeHTML(sub.title)}</span>
+            </label>
+            ${sub.duration != null ? `<small class="subtask-duration">${formatDuration(sub.duration)}</small>` : ''}
+            <button class="btn-icon subtask-remove" aria-label="Remove subtask ${escapeHTML(sub.title)}" title="Remove">✖️</button>
+          </li>`).join('')}
+      </ul>`}
+      <div class="subtask-add">
+        <input class="form-input subtask-add-input" aria-label="New subtask for ${escapeHTML(task.title)}" placeholder="New subtask, e.g. Draft | 60" autocomplete="off">
+        <button class="btn btn--secondary subtask-add-btn">Add</button>
       </div>
+      <span class="subtask-error" role="alert" hidden></span>
     </div>
   `;
 }
 
+/**
+ * Save a row's new checklist — per occurrence for a repeating series — and
+ * re-render, keeping focus on that subtask's checkbox (or the add input).
+ */
+function saveSubtasks(rowEl, subtasks, focusSubId = null) {
+  const { id, occurrence, key } = rowEl.dataset;
+  const inCards = !!rowEl.closest('#records-cards');
+  state.setSubtasks(id, subtasks, occurrence || null);
+  renderRecords();
+  const again = document.querySelector(`${inCards ? '#records-cards' : '#records-tbody'} ${rowSelector(key)}`);
+  if (!again) return;
+  const item = [...again.querySelectorAll('[data-sub]')].find(el => el.dataset.sub === focusSubId);
+  const target = item ? item.querySelector('.subtask-done') : again.querySelector('.subtask-add-input');
+  if (target) target.focus();
+}
+
+function addSubtaskFrom(rowEl) {
+  const input = rowEl.querySelector('.subtask-add-input');
+  const errorEl = rowEl.querySelector('.subtask-error');
+  const text = input.value.trim();
+  if (!text) return;
+
+  const { subtasks: added, invalid } = parseSubtaskLines(text);
+  if (invalid.length > 0) {
+    errorEl.textContent = validateField('subtasks', text).error;
+    errorEl.hidden = false;
+    announce(errorEl.textContent, 'assertive');
+    return;
+  }
+  const current = currentRowTask(rowEl);
+  saveSubtasks(rowEl, [...(current.subtasks || []), ...added]);
+  announce(`Subtask "${added[0].title}" added.`);
+}
+
+function currentRowTask(rowEl) {
+  const { id, occurrence } = rowEl.dataset;
+  return (occurrence ? state.getOccurrence(id, occurrence) : state.getTask(id)) || {};
+}
+
+// --------------- Selection checkbox (row + card) ---------------
+function renderSelectToggle(task) {
+  const label = `Select ${escapeHTML(task.title)}${task.occurrenceDate ? ` on ${task.occurrenceDate}` : ''}`;
+  return `<input type="checkbox" class="select-toggle" ${selectedKeys.has(rowKey(task)) ? 'checked' : ''} aria-label="${label}">`;
+}
+
+// --------------- Completion checkbox (row + card) ---------------
+function renderCompleteToggle(task) {
+  const label = task.completed
+    ? `Mark ${escapeHTML(task.title)} as not done`
+    : `Mark ${escapeHTML(task.title)} as done`;
+  return `<input type="checkbox" class="complete-toggle" ${task.completed ? 'checked' : ''} aria-label="${label}">`;
+}
+
+// --------------- "Apply to series" toggle for occurrences ---------------
+function renderSeriesScope(task) {
+  if (!task.occurrenceDate) return '';
+  return `
+    <label class="edit-scope">
+      <input type="checkbox" class="edit-series-toggle"> Apply to all occurrences
+    </label>
+  `;
+}
+
 // --------------- Inline-editing card (mobile) ---------------
 function renderCardEditing(task) {
   return `
-    <div class="record-card record-card--editing" data-id="${task.id}" style="border-color:var(--clr-primary);background:var(--clr-primary-light)">
+    <div class="record-card record-card--editing" ${rowAttrs(task)} style="border-color:var(--clr-primary);background:var(--clr-primary-light)">
       <div class="form-group" style="margin-bottom:var(--space-sm)">
         <label class="form-label" style="font-size:0.8rem">Title</label>
         <input class="edit-input form-input" data-field="title" value="${escapeHTML(task.title)}" aria-label="Edit title">
@@ -267,6 +688,10 @@ function renderCardEditing(task) {
           <label class="form-label" style="font-size:0.8rem">Due Date</label>
           <input class="edit-input form-input" data-field="dueDate" value="${escapeHTML(task.dueDate)}" aria-label="Edit due date" placeholder="YYYY-MM-DD">
         </div>
+        <div class="form-group" style="flex:1;margin-bottom:0">
+          <label class="form-label" style="font-size:0.8rem">Start</label>
+          <input class="edit-input form-input" data-field="startTime" value="${escapeHTML(task.startTime || '')}" aria-label="Edit start time" placeholder="HH:MM">
+        </div>
         <div class="form-group" style="flex:1;margin-bottom:0">
           <label class="form-label" style="font-size:0.8rem">Duration (min)</label>
           <input class="edit-input form-input" data-field="duration" value="${task.duration}" aria-label="Edit duration">
@@ -276,10 +701,19 @@ function renderCardEditing(task) {
         <label class="form-label" style="font-size:0.8rem">Tag</label>
         <input class="edit-input form-input" data-field="tag" value="${escapeHTML(task.tag)}" aria-label="Edit tag" list="tag-suggestions">
       </div>
+      <div class="form-group" style="margin-bottom:var(--space-sm)">
+        <label class="form-label" style="font-size:0.8rem">Priority</label>
+        ${renderPrioritySelect(task, 'edit-input form-input')}
+      </div>
+      <div class="form-group" style="margin-bottom:var(--space-sm)">
+        <label class="form-label" style="font-size:0.8rem">Course</label>
+        ${renderCourseSelect(task, 'edit-input form-input')}
+      </div>
       <div class="form-group" style="margin-bottom:var(--space-sm)">
         <label class="form-label" style="font-size:0.8rem">Notes</label>
         <input class="edit-input form-input" data-field="notes" value="${escapeHTML(task.notes || '')}" aria-label="Edit notes">
       </div>
+      ${renderSeriesScope(task)}
       <span class="inline-edit-error" role="alert" style="color:var(--clr-danger);font-size:0.78rem;display:block;margin-bottom:var(--space-sm)"></span>
       <div class="record-card-actions">
         <button class="btn-icon btn-icon--save btn-save" aria-label="Save changes">💾 Save</button>
@@ -294,11 +728,11 @@ function bindRecordEvents() {
   // Edit buttons — start inline editing
   $$('.btn-edit').forEach(btn => {
     btn.addEventListener('click', (e) => {
-      const id = e.target.closest('[data-id]').dataset.id;
-      editingTaskId = id;
+      const key = e.target.closest('[data-id]').dataset.key;
+      editingKey = key;
       renderRecords();
       // Focus first edit input in the editing row
-      const firstInput = document.querySelector(`[data-id="${id}"] .edit-input`);
+      const firstInput = document.querySelector(`${rowSelector(key)} .edit-input`);
       if (firstInput) firstInput.focus();
       announce('Editing task inline. Press Enter to save or Escape to cancel.');
     });
@@ -314,7 +748,7 @@ function bindRecordEvents() {
   // Cancel buttons — discard inline edit
   $$('.btn-cancel-edit').forEach(btn => {
     btn.addEventListener('click', () => {
-      editingTaskId = null;
+      editingKey = null;
       renderRecords();
       announce('Edit cancelled.');
     });
@@ -329,127 +763,752 @@ function bindRecordEvents() {
       }
       if (e.key === 'Escape') {
         e.preventDefault();
-        editingTaskId = null;
+        editingKey = null;
         renderRecords();
         announce('Edit cancelled.');
       }
     });
   });
 
+  // Checklist toggles — expand/collapse a row's subtasks
+  $$('.btn-checklist').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const key = e.target.closest('[data-key]').dataset.key;
+      const inCards = !!btn.closest('#records-cards');
+      if (openChecklists.has(key)) openChecklists.delete(key);
+      else openChecklists.add(key);
+      renderRecords();
+      const row = document.querySelector(`${inCards ? '#records-cards' : '#records-tbody'} ${rowSelector(key)}`);
+      if (row) row.querySelector('.btn-checklist').focus();
+    });
+  });
+
+  // Subtask checkboxes
+  $$('.subtask-done').forEach(box => {
+    box.addEventListener('change', (e) => {
+      const rowEl = e.target.closest('[data-id]');
+      const subId = e.target.closest('[data-sub]').dataset.sub;
+      const current = currentRowTask(rowEl).subtasks || [];
+      const subtasks = current.map(sub => (sub.id === subId ? { ...sub, done: box.checked } : sub));
+      saveSubtasks(rowEl, subtasks, subId);
+      const { done, total } = subtaskProgress({ subtasks });
+      announce(`Subtask ${box.checked ? 'done' : 'not done'}. ${done} of ${total} done.`);
+    });
+  });
+
+  // Remove subtask
+  $$('.subtask-remove').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const rowEl = e.target.closest('[data-id]');
+      const subId = e.target.closest('[data-sub]').dataset.sub;
+      const current = currentRowTask(rowEl).subtasks || [];
+      const removed = current.find(sub => sub.id === subId);
+      saveSubtasks(rowEl, current.filter(sub => sub.id !== subId));
+      announce(`Subtask "${removed?.title || ''}" removed.`);
+      showUndoToast(`Removed subtask "${removed?.title || ''}".`);
+    });
+  });
+
+  // Add subtask — button or Enter
+  $$('.subtask-add-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => addSubtaskFrom(e.target.closest('[data-id]')));
+  });
+  $$('.subtask-add-input').forEach(input => {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addSubtaskFrom(e.target.closest('[data-id]'));
+      }
+    });
+  });
+
+  // Selection checkboxes — shift-click selects the range from the last one clicked
+  $$('.select-toggle').forEach(box => {
+    box.addEventListener('click', (e) => {
+      const key = e.target.closest('[data-key]').dataset.key;
+      const keys = [...visibleRows.keys()];
+      const from = e.shiftKey && lastSelectedKey ? keys.indexOf(lastSelectedKey) : -1;
+      const range = from === -1
+        ? [key]
+        : keys.slice(Math.min(from, keys.indexOf(key)), Math.max(from, keys.indexOf(key)) + 1);
+      range.forEach(k => (box.checked ? selectedKeys.add(k) : selectedKeys.delete(k)));
+      lastSelectedKey = key;
+      updateSelection();
+      if (range.length > 1) announce(`${range.length} tasks ${box.checked ? 'selected' : 'deselected'}. ${selectedKeys.size} selected in total.`);
+    });
+  });
+
+  // Completion checkboxes
+  $$('.complete-toggle').forEach(box => {
+    box.addEventListener('change', (e) => {
+      const el = e.target.closest('[data-id]');
+      const task = state.toggleTaskCompleted(el.dataset.id, el.dataset.occurrence || null);
+      renderRecords();
+      if (task) {
+        announce(task.completed
+          ? `Task "${task.title}" marked as done.`
+          : `Task "${task.title}" marked as not done.`);
+      }
+    });
+  });
+
+  // Focus timer buttons
+  $$('.btn-focus').forEach(btn => {
+    btn.addEventListener('click', (e) => startFocus(e.target.closest('[data-id]')));
+  });
+
+  // Move buttons — keyboard rescheduling (pick up, arrows, drop)
+  $$('.btn-move').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const el = e.target.closest('[data-id]');
+      if (movingTask && movingTask.key === el.dataset.key) {
+        dropMovingTask();
+      } else {
+        pickUpTask(el, btn);
+      }
+    });
+    btn.addEventListener('keydown', handleMoveKey);
+    btn.addEventListener('blur', () => {
+      if (movingTask && movingTask.source === 'list') cancelMovingTask();
+    });
+  });
+
+  // Skip buttons — drop one occurrence, keep the series
+  $$('.btn-skip').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const el = e.target.closest('[data-id]');
+      const { id, occurrence } = el.dataset;
+      const task = state.getTask(id);
+      showConfirm(
+        'Skip Occurrence',
+        `Skip "${task?.title || 'this task'}" on ${occurrence}? Other occurrences are kept.`,
+        () => {
+          state.skipOccurrence(id, occurrence);
+          if (editingKey === el.dataset.key) editingKey = null;
+          renderRecords();
+          announce(`Occurrence on ${occurrence} skipped.`, 'polite');
+          showUndoToast(`Skipped ${occurrence}.`);
+        },
+        'Yes, Skip'
+      );
+    });
+  });
+
   // Delete buttons
   $$('.btn-delete').forEach(btn => {
     btn.addEventListener('click', (e) => {
       const id = e.target.closest('[data-id]').dataset.id;
       const task = state.getTask(id);
+      const message = task?.recurrence
+        ? `Are you sure you want to delete the whole "${task.title}" series? Every occurrence will be removed.`
+        : `Are you sure you want to delete "${task?.title || 'this task'}"?`;
       showConfirm(
         'Delete Task',
-        `Are you sure you want to delete "${task?.title || 'this task'}"?`,
+        message,
         () => {
           state.deleteTask(id);
-          if (editingTaskId === id) editingTaskId = null;
+          if (editingKey && editingKey.split('@')[0] === id) editingKey = null;
           renderRecords();
           announce('Task deleted.', 'polite');
+          showUndoToast(`Deleted "${task?.title || 'task'}".`);
         }
       );
     });
   });
 }
 
-/**
- * Read values from inline edit inputs, validate, and save.
- */
-function saveInlineEdit(rowEl) {
-  if (!rowEl) return;
-  const id = rowEl.dataset.id;
+// =============================================================================
+//  BULK SELECTION — batch actions on the selected rows
+// =============================================================================
+export function initBulkActions() {
+  $('#select-all').addEventListener('change', (e) => {
+    selectedKeys = e.target.checked ? new Set(visibleRows.keys()) : new Set();
+    lastSelectedKey = null;
+    updateSelection();
+    announce(e.target.checked ? `All ${selectedKeys.size} shown tasks selected.` : 'Selection cleared.');
+  });
 
-  // Gather values from edit inputs
-  const getValue = (field) => {
-    const input = rowEl.querySelector(`.edit-input[data-field="${field}"]`);
-    return input ? input.value : '';
-  };
+  $('#bulk-clear').addEventListener('click', () => {
+    selectedKeys = new Set();
+    lastSelectedKey = null;
+    updateSelection();
+    $('#select-all').focus();
+    announce('Selection cleared.');
+  });
 
-  const data = {
-    title: getValue('title'),
-    date: getValue('dueDate'),
-    duration: getValue('duration'),
-    tag: getValue('tag'),
-    notes: getValue('notes')
-  };
+  $('#bulk-complete').addEventListener('click', () => {
+    const targets = getSelectedTargets();
+    const completedAt = new Date().toISOString();
+    confirmBatch('Mark as Done', `Mark ${describeCount(targets.length)} as done?`, 'Yes, Mark Done', () => {
+      const count = state.updateTasksBatch(targets, task => (task.completed ? null : { completed: true, completedAt }),
+        { label: `Mark ${targets.length} selected done` });
+      return { count, message: count > 0 ? `Marked ${describeCount(count)} as done.` : 'The selected tasks were already done.' };
+    });
+  });
 
-  // Validate
-  const { valid, errors } = validateForm(data);
-  const errorEl = rowEl.querySelector('.inline-edit-error');
+  $('#bulk-tag-btn').addEventListener('click', () => {
+    const targets = getSelectedTargets();
+    const tag = $('#bulk-tag').value;
+    const seriesNote = targets.some(t => t.occurrenceDate) ? ' Repeating series change as a whole.' : '';
+    confirmBatch('Change Tag', `Change the tag of ${describeCount(targets.length)} to "${tag}"?${seriesNote}`, 'Yes, Change Tag', () => {
+      const count = state.updateTasksBatch(targets, task => (task.tag === tag ? null : { tag }),
+        { label: `Tag ${targets.length} selected "${tag}"`, wholeSeries: true });
+      return { count, message: count > 0 ? `Changed the tag of ${describeCount(count)} to "${tag}".` : `The selected tasks were already tagged "${tag}".` };
+    });
+  });
 
-  if (!valid) {
-    const msgs = Object.values(errors).filter(Boolean);
-    if (errorEl) errorEl.textContent = msgs.join(' · ');
-    announce('Fix errors: ' + msgs.join('. '), 'assertive');
-    return;
-  }
+  $('#bulk-shift-btn').addEventListener('click', () => {
+    const days = Number($('#bulk-shift').value);
+    if (!Number.isInteger(days) || days === 0) {
+      announce('Enter a whole number of days to shift by, e.g. 2 or -1.', 'assertive');
+      $('#bulk-shift').focus();
+      return;
+    }
+    const targets = getSelectedTargets();
+    const direction = days > 0 ? `${days} ${Math.abs(days) === 1 ? 'day' : 'days'} later` : `${-days} ${Math.abs(days) === 1 ? 'day' : 'days'} earlier`;
+    confirmBatch('Shift Due Dates', `Move ${describeCount(targets.length)} ${direction}?`, 'Yes, Shift', () => {
+      const count = state.updateTasksBatch(targets, task => ({ dueDate: addDays(task.dueDate, days) }),
+        { label: `Shift ${targets.length} selected ${direction}` });
+      return { count, message: `Moved ${describeCount(count)} ${direction}.` };
+    });
+  });
 
-  // Commit update — this also sets updatedAt
-  state.updateTask(id, {
-    title: data.title.trim(),
-    dueDate: data.date,
-    duration: parseFloat(data.duration),
-    tag: data.tag.trim(),
-    notes: (data.notes || '').trim()
+  $('#bulk-export').addEventListener('click', () => {
+    // Whole tasks, so the file imports back; a selected occurrence exports its series
+    const ids = new Set(getSelectedTargets().map(t => t.id));
+    const tasks = state.tasks.filter(t => ids.has(t.id));
+    showConfirm('Export Selection', `Export ${describeCount(tasks.length)} as JSON?`, () => {
+      downloadFile(exportJSON(tasks), 'application/json', 'json', 'selection');
+      announce(`Exported ${describeCount(tasks.length)}.`);
+    }, 'Yes, Export');
   });
 
-  editingTaskId = null;
-  renderRecords();
-  announce(`Task "${data.title}" updated successfully.`);
+  $('#bulk-delete').addEventListener('click', () => {
+    const targets = getSelectedTargets();
+    const occurrences = targets.filter(t => t.occurrenceDate).length;
+    const note = occurrences > 0
+      ? ` ${occurrences} ${occurrences === 1 ? 'is an occurrence' : 'are occurrences'} of repeating series and will be skipped; the rest of each series stays.`
+      : '';
+    confirmBatch('Delete Selected', `Delete ${describeCount(targets.length)}?${note}`, 'Yes, Delete', () => {
+      const { deleted, skipped } = state.deleteTasksBatch(targets);
+      selectedKeys = new Set();
+      lastSelectedKey = null;
+      const message = `Deleted ${describeCount(deleted)}` +
+        (skipped > 0 ? `, skipped ${skipped} ${skipped === 1 ? 'occurrence' : 'occurrences'}.` : '.');
+      return { count: deleted + skipped, message };
+    });
+  });
 }
 
-// =============================================================================
-//  SEARCH & SORT
-// =============================================================================
-export function initSearch() {
-  const input = $('#search-input');
-  const caseToggle = $('#search-case');
+function describeCount(count) {
+  return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+}
 
-  input.addEventListener('input', () => {
-    currentSearch = input.value;
+function getSelectedTargets() {
+  return [...selectedKeys].map(key => visibleRows.get(key))
+    .map(task => ({ id: task.id, occurrenceDate: task.occurrenceDate || null }));
+}
+
+/**
+ * Ask once, run the batch action, then re-render once. `run` returns
+ * { count, message }; the undo toast is only offered when something changed.
+ */
+function confirmBatch(title, message, confirmLabel, run) {
+  if (selectedKeys.size === 0) return;
+  showConfirm(title, message, () => {
+    if (editingKey && selectedKeys.has(editingKey)) editingKey = null;
+    const result = run();
     renderRecords();
+    announce(result.message);
+    if (result.count > 0) showUndoToast(result.message);
+  }, confirmLabel);
+}
+
+/**
+ * Reflect selectedKeys in the rows, cards and bulk bar without re-rendering the list
+ * (keeps focus on the checkbox that was clicked).
+ */
+function updateSelection() {
+  $$('#records-tbody [data-key], #records-cards [data-key]').forEach(el => {
+    const selected = selectedKeys.has(el.dataset.key);
+    el.classList.toggle('selected', selected);
+    const box = el.querySelector('.select-toggle');
+    if (box) box.checked = selected;
   });
+  renderBulkBar();
+}
 
-  caseToggle.addEventListener('change', () => {
-    caseSensitive = caseToggle.checked;
-    renderRecords();
+function renderBulkBar() {
+  const count = selectedKeys.size;
+  const selectAll = $('#select-all');
+  selectAll.checked = count > 0 && count === visibleRows.size;
+  selectAll.indeterminate = count > 0 && count < visibleRows.size;
+  selectAll.disabled = visibleRows.size === 0;
+  $('#bulk-count').textContent = count > 0 ? `${count} selected` : 'None selected';
+
+  const tagSelect = $('#bulk-tag');
+  const chosen = tagSelect.value;
+  tagSelect.innerHTML = state.tags.map(tag => `<option value="${escapeHTML(tag)}">${escapeHTML(tag)}</option>`).join('');
+  if (state.tags.includes(chosen)) tagSelect.value = chosen;
+
+  $$('.bulk-actions button, .bulk-actions select, .bulk-actions input').forEach(control => {
+    control.disabled = count === 0;
   });
 }
 
-export function initSort() {
-  $$('.sort-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const field = btn.dataset.sort;
-      let dir = btn.dataset.dir;
+// =============================================================================
+//  RESCHEDULING — drag-and-drop + keyboard pick-up/move/drop
+// =============================================================================
+function longDate(date) {
+  return parseDate(date).toLocaleDateString('en', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+}
 
-      // Toggle direction if same field
-      if (currentSort.field === field) {
-        dir = currentSort.dir === 'asc' ? 'desc' : 'asc';
-      }
+/**
+ * Commit a new due date and confirm it politely.
+ */
+function rescheduleTask(id, occurrence, newDate) {
+  const task = state.getTask(id);
+  if (!task) return;
+  state.rescheduleTask(id, newDate, occurrence || null);
+  announce(`Moved "${task.title}" to ${longDate(newDate)}.`);
+}
 
-      currentSort = { field, dir };
-      btn.dataset.dir = dir;
+function pickUpTask(el, btn) {
+  const task = state.getTask(el.dataset.id);
+  if (!task) return;
+  if (movingTask) cancelMovingTask();
+  movingTask = {
+    source: 'list',
+    id: el.dataset.id,
+    occurrence: el.dataset.occurrence || null,
+    key: el.dataset.key,
+    title: task.title,
+    fromDate: el.dataset.date,
+    toDate: el.dataset.date
+  };
+  $$(rowSelector(el.dataset.key)).forEach(node => node.classList.add('moving'));
+  btn.setAttribute('aria-pressed', 'true');
+  announce(`Picked up "${task.title}", due ${longDate(movingTask.toDate)}. Use arrow keys to change the day, Enter to drop, Escape to cancel.`);
+}
+
+function handleMoveKey(e) {
+  if (!movingTask || movingTask.source !== 'list') return;
+  const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+  if (e.key in steps) {
+    e.preventDefault();
+    movingTask.toDate = addDays(movingTask.toDate, steps[e.key]);
+    $$(`${rowSelector(movingTask.key)} .record-date`).forEach(node => {
+      node.textContent = movingTask.toDate;
+    });
+    announce(longDate(movingTask.toDate));
+  } else if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    dropMovingTask();
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    cancelMovingTask();
+  }
+}
+
+function dropMovingTask() {
+  const moving = movingTask;
+  movingTask = null;
+  if (!moving) return;
+
+  if (moving.toDate === moving.fromDate) {
+    announce(`"${moving.title}" left on ${longDate(moving.fromDate)}.`);
+  } else {
+    rescheduleTask(moving.id, moving.occurrence, moving.toDate);
+  }
+
+  if (moving.source === 'list') {
+    renderRecords();
+    const btn = $(`${rowSelector(moving.key)} .btn-move`);
+    if (btn) btn.focus();
+  } else {
+    calendarDate = moving.toDate;
+    renderCalendar();
+    focusCalendarDay(moving.toDate);
+  }
+}
+
+function cancelMovingTask() {
+  const moving = movingTask;
+  movingTask = null;
+  if (!moving) return;
+
+  if (moving.source === 'list') {
+    $$(rowSelector(moving.key)).forEach(node => {
+      node.classList.remove('moving');
+      const date = node.querySelector('.record-date');
+      if (date) date.textContent = moving.fromDate;
+      const btn = node.querySelector('.btn-move');
+      if (btn) btn.setAttribute('aria-pressed', 'false');
+    });
+  } else {
+    calendarDate = moving.fromDate;
+    renderCalendar();
+    focusCalendarDay(moving.fromDate);
+  }
+  announce(`Move cancelled. "${moving.title}" stays on ${longDate(moving.fromDate)}.`);
+}
+
+export function initReschedule() {
+  bindDragEvents($('#records-tbody'));
+  bindDragEvents($('#records-cards'));
+  bindDragEvents($('#calendar-grid'));
+}
+
+/**
+ * Mouse drag-and-drop. Draggable items carry data-id (+ data-occurrence);
+ * drop targets carry data-date — calendar days, or rows/cards in the list
+ * (dropping onto another task adopts its due date).
+ */
+function bindDragEvents(container) {
+  if (!container) return;
+
+  container.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('[draggable="true"][data-id]');
+    if (!item) return;
+    draggedTask = { id: item.dataset.id, occurrence: item.dataset.occurrence || null };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.key || item.dataset.id);
+    item.classList.add('dragging');
+  });
+
+  container.addEventListener('dragend', (e) => {
+    draggedTask = null;
+    const item = e.target.closest('[data-id]');
+    if (item) item.classList.remove('dragging');
+    container.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+  });
+
+  container.addEventListener('dragover', (e) => {
+    const target = draggedTask && e.target.closest('[data-date]');
+    if (!target) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    container.querySelectorAll('.drop-target').forEach(el => {
+      if (el !== target) el.classList.remove('drop-target');
+    });
+    target.classList.add('drop-target');
+  });
+
+  container.addEventListener('dragleave', (e) => {
+    const target = e.target.closest('[data-date]');
+    if (target && !target.contains(e.relatedTarget)) target.classList.remove('drop-target');
+  });
+
+  container.addEventListener('drop', (e) => {
+    const target = draggedTask && e.target.closest('[data-date]');
+    if (!target) return;
+    e.preventDefault();
+    const { id, occurrence } = draggedTask;
+    draggedTask = null;
+    const current = occurrence ? state.getOccurrence(id, occurrence) : state.getTask(id);
+    if (current && current.dueDate !== target.dataset.date) {
+      rescheduleTask(id, occurrence, target.dataset.date);
+    }
+    if (container.id === 'calendar-grid') renderCalendar();
+    else renderRecords();
+  });
+}
+
+/**
+ * Read values from inline edit inputs, validate, and save.
+ */
+function saveInlineEdit(rowEl) {
+  if (!rowEl) return;
+  const { id, occurrence } = rowEl.dataset;
+
+  // Gather values from edit inputs
+  const getValue = (field) => {
+    const input = rowEl.querySelector(`.edit-input[data-field="${field}"]`);
+    return input ? input.value : '';
+  };
+
+  const data = {
+    title: getValue('title'),
+    date: getValue('dueDate'),
+    time: getValue('startTime').trim(),
+    duration: getValue('duration'),
+    tag: getValue('tag'),
+    priority: getValue('priority'),
+    notes: getValue('notes')
+  };
 
-      // Update active state
-      $$('.sort-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
+  // Validate
+  const { valid, errors } = validateForm(data);
+  const errorEl = rowEl.querySelector('.inline-edit-error');
+
+  if (!valid) {
+    const msgs = Object.values(errors).filter(Boolean);
+    if (errorEl) errorEl.textContent = msgs.join(' · ');
+    announce('Fix errors: ' + msgs.join('. '), 'assertive');
+    return;
+  }
+
+  const updates = {
+    title: data.title.trim(),
+    dueDate: data.date,
+    startTime: data.time || null,
+    duration: parseFloat(data.duration),
+    tag: data.tag.trim(),
+    priority: data.priority || DEFAULT_PRIORITY,
+    courseId: getValue('courseId') || null,
+    notes: (data.notes || '').trim()
+  };
+
+  // Commit update — this also sets updatedAt
+  if (occurrence) {
+    const seriesToggle = rowEl.querySelector('.edit-series-toggle');
+    if (seriesToggle && seriesToggle.checked) {
+      // Moving one occurrence's date shifts the whole series by the same amount
+      const series = state.getTask(id);
+      const shownDate = state.getOccurrence(id, occurrence)?.dueDate || occurrence;
+      const shift = daysBetween(shownDate, data.date);
+      updates.dueDate = addDays(series.dueDate, shift);
+      if (shift !== 0) {
+        updates.exceptions = Object.fromEntries(
+          Object.entries(series.exceptions || {}).map(([date, change]) => [addDays(date, shift), change])
+        );
+      }
+      state.updateTask(id, updates);
+    } else {
+      // Only store what actually differs, so later series edits still flow through
+      const current = state.getOccurrence(id, occurrence) || {};
+      const changed = Object.fromEntries(
+        Object.entries(updates).filter(([field, value]) => current[field] !== value)
+      );
+      state.updateOccurrence(id, occurrence, changed);
+    }
+  } else {
+    state.updateTask(id, updates);
+  }
+
+  editingKey = null;
+  renderRecords();
+  announce(`Task "${data.title}" updated successfully.`);
+}
+
+// =============================================================================
+//  SEARCH & SORT
+// =============================================================================
+export function initSearch() {
+  const input = $('#search-input');
+  const caseToggle = $('#search-case');
+
+  input.addEventListener('input', () => {
+    currentSearch = input.value;
+    renderRecords();
+    replaceRecordsRoute();
+  });
+
+  caseToggle.addEventListener('change', () => {
+    caseSensitive = caseToggle.checked;
+    renderRecords();
+    replaceRecordsRoute();
+  });
+
+  const statusSelect = $('#status-filter');
+  statusSelect.addEventListener('change', () => {
+    currentStatus = statusSelect.value;
+    renderRecords();
+    replaceRecordsRoute();
+    announce(`Showing ${statusSelect.options[statusSelect.selectedIndex].text.toLowerCase()}.`);
+  });
+
+  const courseSelect = $('#course-filter');
+  courseSelect.addEventListener('change', () => {
+    currentCourse = courseSelect.value;
+    renderRecords();
+    replaceRecordsRoute();
+    const label = courseSelect.options[courseSelect.selectedIndex].text;
+    announce(currentCourse === 'all' ? 'Showing tasks for all courses.'
+      : currentCourse === 'none' ? 'Showing tasks without a course.' : `Showing tasks for ${label}.`);
+  });
+
+  initSavedSearches();
+}
+
+export function initSort() {
+  $$('.sort-btn[data-sort]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const field = btn.dataset.sort;
+      let dir = btn.dataset.dir;
 
-      // Update arrow
-      btn.querySelector('.sort-arrow').textContent = dir === 'asc' ? '↑' : '↓';
-      btn.setAttribute('aria-label', `Sort by ${field}, ${dir === 'asc' ? 'ascending' : 'descending'}`);
+      // Toggle direction if same field
+      if (currentSort.field === field) {
+        dir = currentSort.dir === 'asc' ? 'desc' : 'asc';
+      }
 
+      currentSort = { field, dir };
+      updateSortButtons();
       renderRecords();
+      replaceRecordsRoute();
       announce(`Sorted by ${field}, ${dir === 'asc' ? 'ascending' : 'descending'}.`);
     });
   });
 }
 
+/**
+ * Reflect currentSort in the sort buttons (active state, arrow, label).
+ */
+function updateSortButtons() {
+  $$('.sort-btn[data-sort]').forEach(btn => {
+    const active = btn.dataset.sort === currentSort.field;
+    btn.classList.toggle('active', active);
+    if (!active) return;
+    btn.dataset.dir = currentSort.dir;
+    btn.querySelector('.sort-arrow').textContent = currentSort.dir === 'asc' ? '↑' : '↓';
+    btn.setAttribute('aria-label', `Sort by ${currentSort.field}, ${currentSort.dir === 'asc' ? 'ascending' : 'descending'}`);
+  });
+}
+
+// ===== Saved searches (smart lists) =====
+function initSavedSearches() {
+  $('#save-search-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const nameInput = $('#save-search-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+      announce('Give the search a name to save it.', 'assertive');
+      nameInput.focus();
+      return;
+    }
+    const replacing = state.settings.savedSearches.some(s => s.name.toLowerCase() === name.toLowerCase());
+    state.saveSearch({ name, query: currentSearch, caseSensitive, sort: { ...currentSort } });
+    nameInput.value = '';
+    renderSavedSearches();
+    const message = `${replacing ? 'Updated' : 'Saved'} smart list "${name}".`;
+    announce(message);
+    showUndoToast(message);
+  });
+
+  $('#saved-search-chips').addEventListener('click', (e) => {
+    const apply = e.target.closest('.saved-search-apply');
+    const remove = e.target.closest('.tag-chip-remove');
+    const name = (apply || remove)?.dataset.name;
+    const search = state.settings.savedSearches.find(s => s.name === name);
+    if (!search) return;
+
+    if (apply) {
+      applySavedSearch(search);
+    } else {
+      state.removeSearch(name);
+      renderSavedSearches();
+      $('#save-search-name').focus();
+      announce(`Smart list "${name}" removed.`);
+      showUndoToast(`Smart list "${name}" removed.`);
+    }
+  });
+}
+
+/**
+ * Restore a saved search: query text, case sensitivity and sort.
+ */
+function applySavedSearch(search) {
+  restoreSearchState({ query: search.query, caseSensitive: search.caseSensitive, sort: search.sort });
+  renderRecords();
+  replaceRecordsRoute();
+  const count = $$('#records-tbody tr').length;
+  announce(`Smart list "${search.name}": ${count} ${count === 1 ? 'task' : 'tasks'}.`);
+}
+
+function isCurrentSearch(search) {
+  return search.query === currentSearch && search.caseSensitive === caseSensitive &&
+    search.sort.field === currentSort.field && search.sort.dir === currentSort.dir;
+}
+
+function renderSavedSearches() {
+  const container = $('#saved-search-chips');
+  const focusedName = container.contains(document.activeElement) ? document.activeElement.dataset.name : null;
+  const focusedClass = focusedName != null ? document.activeElement.className : null;
+  const searches = state.settings.savedSearches;
+
+  container.innerHTML = searches.length === 0
+    ? '<span class="settings-hint">None yet — name the current search to save it.</span>'
+    : searches.map(search => `
+      <span class="saved-search-chip">
+        <button type="button" class="saved-search-apply" data-name="${escapeHTML(search.name)}"
+                aria-pressed="${isCurrentSearch(search)}" title="${escapeHTML(search.query || '(all tasks)')}">${escapeHTML(search.name)}</button>
+        <button type="button" class="tag-chip-remove" data-name="${escapeHTML(search.name)}"
+                aria-label="Remove smart list ${escapeHTML(search.name)}">×</button>
+      </span>
+    `).join('');
+
+  // Re-rendering replaces the buttons; keep keyboard focus where it was
+  if (focusedName != null) {
+    const again = [...container.querySelectorAll('button')]
+      .find(btn => btn.dataset.name === focusedName && btn.className === focusedClass);
+    if (again) again.focus();
+  }
+}
+
 // =============================================================================
 //  DASHBOARD
 // =============================================================================
+export function initDashboard() {
+  $$('[data-range]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const preset = btn.dataset.range;
+      setPressed('[data-range]', btn);
+      $('#analytics-custom').hidden = preset !== 'custom';
+      if (preset === 'custom') {
+        // Start from the range on screen; Apply changes it
+        const { range } = state.getAnalytics(analyticsRange);
+        analyticsRange = { ...analyticsRange, preset, ...range };
+        $('#analytics-start').value = range.start;
+        $('#analytics-end').value = range.end;
+        $('#analytics-start').focus();
+        return;
+      }
+      analyticsRange = { ...analyticsRange, preset };
+      renderAnalytics(true);
+    });
+  });
+
+  $$('[data-bucket]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setPressed('[data-bucket]', btn);
+      analyticsRange = { ...analyticsRange, bucket: btn.dataset.bucket };
+      renderAnalytics(true);
+    });
+  });
+
+  $('#analytics-apply-btn').addEventListener('click', applyCustomRange);
+  ['#analytics-start', '#analytics-end'].forEach(sel => {
+    $(sel).addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        applyCustomRange();
+      }
+    });
+  });
+}
+
+function setPressed(selector, active) {
+  $$(selector).forEach(b => {
+    b.classList.toggle('active', b === active);
+    b.setAttribute('aria-pressed', String(b === active));
+  });
+}
+
+function applyCustomRange() {
+  const range = { start: $('#analytics-start').value.trim(), end: $('#analytics-end').value.trim() };
+  const errorEl = $('#analytics-range-error');
+  const { valid, error } = validateRange(range);
+  if (!valid) {
+    errorEl.textContent = error;
+    errorEl.hidden = false;
+    return;
+  }
+  errorEl.hidden = true;
+  analyticsRange = { ...analyticsRange, preset: 'custom', ...range };
+  renderAnalytics(true);
+}
+
 export function renderDashboard() {
   const stats = state.getStats();
   const unit = getUnitLabel();
@@ -463,75 +1522,359 @@ export function renderDashboard() {
   $('#stat-duration').innerHTML = `${durationDisplay} <small>${unit}</small>`;
   $('#stat-top-tag').textContent = stats.topTag;
 
+  // Completed vs outstanding
+  $('#stat-completed').textContent = `${stats.completedCount}/${stats.total}`;
+  $('#stat-completed-split').textContent =
+    `${formatDuration(stats.completedDuration)} done · ${formatDuration(stats.outstandingDuration)} left` +
+    (stats.subtasks.total > 0 ? ` · ${stats.subtasks.done}/${stats.subtasks.total} subtasks` : '');
+
   // Cap status
   renderCapStatus(stats);
 
-  // 7-day trend chart
-  renderTrendChart(stats.last7);
+  // Smart "what next" list
+  renderNextTasks();
+
+  // Trends over the chosen range
+  renderAnalytics();
+
+  // Planned vs. tracked time
+  renderTrackedTime(stats.time);
+
+  // Per-course totals
+  renderCourseStats(stats.courses);
 
   // Tag breakdown
-  renderTagBreakdown(stats.tagDurations);
+  renderTagBreakdown(stats.tagDurations, stats.tagCompletion);
+
+  // Overlaps and over-cap days from today on
+  renderUpcomingConflicts();
+}
+
+function renderNextTasks() {
+  const container = $('#next-tasks');
+  const today = localToday();
+  const next = rankTasks(state.getOccurrences(), today, 5);
+
+  if (next.length === 0) {
+    container.innerHTML = '<li style="color:var(--clr-text-muted)">Nothing outstanding. 🎉</li>';
+    return;
+  }
+
+  const when = (date) => {
+    const days = daysBetween(today, date);
+    if (days < 0) return `${-days} ${days === -1 ? 'day' : 'days'} overdue`;
+    if (days === 0) return 'Due today';
+    if (days === 1) return 'Due tomorrow';
+    return `Due in ${days} days`;
+  };
+  container.innerHTML = next.map(task => `
+    <li class="next-task">
+      <a href="${buildRoute({ taskId: task.id })}">${escapeHTML(task.title)}</a>
+      <span class="next-task-meta">
+        ${when(task.dueDate)}${task.startTime ? ` at ${task.startTime}` : ''} · ${priorityLabel(task.priority)} priority · ${formatDuration(task.duration)}
+      </span>
+    </li>`).join('');
+}
+
+function renderUpcomingConflicts() {
+  const container = $('#conflict-list');
+  const today = localToday();
+  const dailyCap = state.settings.dailyCap;
+  const upcoming = state.getOccurrences().filter(t => t.dueDate >= today);
+  const { overlaps, overloadedDays } = findConflicts(upcoming, { dailyCap });
+  const taskLink = t => `<a href="${buildRoute({ taskId: t.id })}">${escapeHTML(t.title)}</a>`;
+
+  const items = [
+    ...overlaps.map(({ date, tasks: [a, b] }) => ({
+      date,
+      html: `${taskLink(a)} (${formatTimeRange(a)}) overlaps ${taskLink(b)} (${formatTimeRange(b)})`
+    })),
+    ...overloadedDays.map(({ date, total, tasks }) => ({
+      date,
+      html: `${formatDuration(total)} across ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'}, over the ${formatDuration(dailyCap)} daily cap`
+    }))
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  if (items.length === 0) {
+    container.innerHTML = '<p style="color:var(--clr-text-muted)">No conflicts coming up.</p>';
+    return;
+  }
+
+  const shown = items.slice(0, 10);
+  container.innerHTML = `
+    <ul class="conflict-items">
+      ${shown.map(({ date, html }) => `
+        <li class="conflict-item">
+          <span class="conflict-date">${parseDate(date).toLocaleDateString('en', { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+          <span>⚠️ ${html}</span>
+        </li>`).join('')}
+    </ul>
+    ${items.length > shown.length ? `<p class="settings-hint">+${items.length - shown.length} more</p>` : ''}
+  `;
 }
 
+/**
+ * Weekly cap and tag budget bars for the current week. Being over the cap or a
+ * tag's maximum is announced assertively, the rest politely, each in one message.
+ */
 function renderCapStatus(stats) {
   const capEl = $('#stat-cap');
   const barFill = $('#cap-bar-fill');
   const barContainer = $('#cap-bar-container');
+  const polite = [];
+  const assertive = [];
+
+  $('#stat-cap-week').textContent = `This week: ${formatRange(stats.week)}`;
 
   if (!stats.weeklyCap || stats.weeklyCap <= 0) {
     capEl.textContent = 'No cap set';
     capEl.style.color = '';
     barFill.style.width = '0%';
     barFill.classList.remove('over');
-    return;
+    barContainer.setAttribute('aria-valuenow', 0);
+  } else {
+    const remaining = stats.weeklyCap - stats.weeklyDuration;
+    const pct = Math.min((stats.weeklyDuration / stats.weeklyCap) * 100, 100);
+
+    barContainer.setAttribute('aria-valuenow', Math.round(pct));
+    barFill.style.width = `${pct}%`;
+
+    if (remaining >= 0) {
+      const dispRemaining = formatDuration(remaining);
+      capEl.textContent = `${dispRemaining} left`;
+      capEl.style.color = '';
+      barFill.classList.remove('over');
+      polite.push(`Duration cap: ${dispRemaining} remaining this week.`);
+    } else {
+      const dispOver = formatDuration(Math.abs(remaining));
+      capEl.textContent = `${dispOver} over!`;
+      capEl.style.color = 'var(--clr-danger)';
+      barFill.classList.add('over');
+      assertive.push(`Warning: You are ${dispOver} over your weekly cap!`);
+    }
   }
 
-  const remaining = stats.weeklyCap - stats.weeklyDuration;
-  const pct = Math.min((stats.weeklyDuration / stats.weeklyCap) * 100, 100);
+  renderBudgetBars(stats.budgets, polite, assertive);
+  if (assertive.length > 0) announce(assertive.join(' '), 'assertive');
+  if (polite.length > 0) announce(polite.join(' '), 'polite');
+}
 
-  barContainer.setAttribute('aria-valuenow', Math.round(pct));
-  barFill.style.width = `${pct}%`;
+// "at least 15.0 hr", "at most 10.0 hr" or "15.0 hr to 20.0 hr"
+function describeBudget({ min, max }) {
+  if (max === undefined) return `at least ${formatDuration(min)}`;
+  if (min === undefined) return `at most ${formatDuration(max)}`;
+  return `${formatDuration(min)} to ${formatDuration(max)}`;
+}
 
-  if (remaining >= 0) {
-    const dispRemaining = state.settings.durationUnit === 'hours'
-      ? (remaining / 60).toFixed(1) + ' hr'
-      : remaining + ' min';
-    capEl.textContent = `${dispRemaining} left`;
-    capEl.style.color = '';
-    barFill.classList.remove('over');
-    announce(`Duration cap: ${dispRemaining} remaining this week.`, 'polite');
-  } else {
-    const dispOver = state.settings.durationUnit === 'hours'
-      ? (Math.abs(remaining) / 60).toFixed(1) + ' hr'
-      : Math.abs(remaining) + ' min';
-    capEl.textContent = `${dispOver} over!`;
-    capEl.style.color = 'var(--clr-danger)';
-    barFill.classList.add('over');
-    announce(`Warning: You are ${dispOver} over your weekly cap!`, 'assertive');
-  }
+/**
+ * One progress bar per tag budget. Bars fill towards the maximum, or towards
+ * the minimum for tags that only have one. Under/over messages go onto
+ * `polite`/`assertive` for renderCapStatus to announce.
+ */
+function renderBudgetBars(budgets, polite, assertive) {
+  const list = $('#budget-bars');
+  list.hidden = budgets.length === 0;
+  list.innerHTML = budgets.map(budget => {
+    const { tag, min, max, used, status } = budget;
+    const target = max !== undefined ? max : min;
+    const pct = target > 0 ? Math.min((used / target) * 100, 100) : 100;
+    const detail = status === 'over' ? `${formatDuration(used - max)} over`
+      : status === 'under' ? `${formatDuration(min - used)} short`
+        : 'on track';
+    return `
+      <li class="budget-bar budget-bar--${status}">
+        <span class="budget-bar-label">
+          <span class="record-card-tag"${tagStyle(tag)}>${escapeHTML(tag)}</span>
+          <span>${formatDuration(used)} of ${describeBudget(budget)} · ${detail}</span>
+        </span>
+        <div class="cap-bar-container" role="progressbar" aria-valuenow="${Math.round(pct)}" aria-valuemin="0" aria-valuemax="100"
+             aria-label="${escapeHTML(tag)} weekly budget" aria-valuetext="${formatDuration(used)}, ${detail}">
+          <div class="cap-bar-fill${status === 'over' ? ' over' : ''}" style="width:${pct}%;--tag-color:${tagColor(tag, state.settings.tagColors)}"></div>
+        </div>
+      </li>`;
+  }).join('');
+
+  budgets.forEach(({ tag, min, max, used, status }) => {
+    if (status === 'over') {
+      assertive.push(`Warning: ${tag} is ${formatDuration(used - max)} over its weekly maximum of ${formatDuration(max)}.`);
+    } else if (status === 'under') {
+      polite.push(`${tag} is ${formatDuration(min - used)} short of its weekly minimum of ${formatDuration(min)}.`);
+    }
+  });
 }
 
-function renderTrendChart(last7) {
-  const container = $('#trend-chart');
-  const maxDur = Math.max(...last7.map(d => d.duration), 1);
+/**
+ * Range, grouping and comparison summary, chart and data table for the
+ * dashboard's trends. `announceChange` reads the new summary out.
+ */
+function renderAnalytics(announceChange = false) {
+  const data = state.getAnalytics(analyticsRange);
+  $('#analytics-summary').textContent = describeAnalytics(data);
+  renderTrendChart(data);
+  renderTrendTable(data);
+  if (announceChange) announce($('#analytics-summary').textContent);
+}
+
+function formatRange({ start, end }) {
+  const opts = { month: 'short', day: 'numeric', year: 'numeric' };
+  return `${parseDate(start).toLocaleDateString('en', opts)} – ${parseDate(end).toLocaleDateString('en', opts)}`;
+}
 
-  container.innerHTML = last7.map(day => {
-    const heightPct = (day.duration / maxDur) * 100;
+function describeAnalytics({ range, totals, previous, change }) {
+  const current = `${formatRange(range)}: ${formatDuration(totals.duration)} planned across ${totals.count} ${totals.count === 1 ? 'task' : 'tasks'}, ${formatDuration(totals.completedDuration)} done.`;
+  if (change.pct === null) return `${current} Nothing was planned in the previous period.`;
+  if (change.duration === 0) return `${current} Same as the previous period.`;
+  const pct = Math.round(Math.abs(change.pct) * 100);
+  return `${current} ${change.duration > 0 ? 'Up' : 'Down'} ${pct}% on the previous period (${formatDuration(previous.duration)}).`;
+}
+
+// Name of one bar's period, for tooltips and the data table
+function periodName({ start, end, label }, bucket) {
+  if (bucket === 'day' || start === end) return parseDate(start).toLocaleDateString('en', { weekday: 'short', month: 'short', day: 'numeric' });
+  if (bucket === 'week') return formatRange({ start, end });
+  return label;
+}
+
+function renderTrendChart({ series, tags, bucket, range }) {
+  const container = $('#trend-chart');
+  const maxDur = Math.max(...series.map(d => d.duration), 1);
+  const crowded = series.length > 16;
+  const labelEvery = crowded ? Math.ceil(series.length / 8) : 1;
+  const colors = Object.fromEntries(tags.map(tag => [tag, tagColor(tag, state.settings.tagColors)]));
+
+  container.setAttribute('aria-label', `Bar chart of planned time per ${bucket}, ${formatRange(range)}. The table below lists the numbers.`);
+  container.classList.toggle('chart-container--dense', crowded);
+  container.innerHTML = series.map((entry, i) => {
+    const heightPct = (entry.duration / maxDur) * 100;
     const displayVal = state.settings.durationUnit === 'hours'
-      ? (day.duration / 60).toFixed(1)
-      : day.duration;
+      ? (entry.duration / 60).toFixed(1)
+      : entry.duration;
+
+    // Stacked by tag, in the same order in every bar (most time overall at the bottom)
+    const segments = tags.filter(tag => entry.tagDurations[tag])
+      .map(tag => `<div class="chart-bar-segment" style="height:${(entry.tagDurations[tag] / entry.duration) * 100}%;--tag-color:${colors[tag]}"></div>`)
+      .join('');
+    const breakdown = tags.filter(tag => entry.tagDurations[tag]).map(tag => `${tag} ${formatDuration(entry.tagDurations[tag])}`).join(', ');
 
     return `
       <div class="chart-bar-wrap">
-        <span class="chart-bar-value">${displayVal}</span>
-        <div class="chart-bar" style="height:${Math.max(heightPct, 2)}%" title="${day.date}: ${displayVal} ${getUnitLabel()}"></div>
-        <span class="chart-bar-label">${day.label}</span>
+        ${crowded ? '' : `<span class="chart-bar-value">${displayVal}</span>`}
+        <div class="chart-bar" style="height:${Math.max(heightPct, 2)}%" title="${escapeHTML(periodName(entry, bucket))}: ${displayVal} ${getUnitLabel()}${breakdown ? ` (${escapeHTML(breakdown)})` : ''}">${segments}</div>
+        <span class="chart-bar-label">${i % labelEvery === 0 ? escapeHTML(entry.label) : ''}</span>
       </div>
     `;
   }).join('');
+
+  $('#trend-legend').innerHTML = tags.map(tag => `
+    <li><span class="chart-legend-swatch" style="--tag-color:${colors[tag]}"></span>${escapeHTML(tag)}</li>`).join('');
+}
+
+// Screen-reader (and "Show as table") version of the chart
+function renderTrendTable({ series, tags, bucket, range, totals, previous, previousRange: before }) {
+  const cells = (entry) => `
+    ${tags.map(tag => `<td>${formatDuration(entry.tagDurations[tag] || 0)}</td>`).join('')}
+    <td>${formatDuration(entry.duration)}</td>
+    <td>${formatDuration(entry.completedDuration)}</td>
+    <td>${entry.count}</td>`;
+
+  $('#trend-table').innerHTML = `
+    <table class="analytics-data">
+      <caption>Planned time per ${bucket}, ${formatRange(range)}</caption>
+      <thead>
+        <tr>
+          <th scope="col">Period</th>
+          ${tags.map(tag => `<th scope="col">${escapeHTML(tag)}</th>`).join('')}
+          <th scope="col">Total</th>
+          <th scope="col">Done</th>
+          <th scope="col">Tasks</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${series.map(entry => `<tr><th scope="row">${escapeHTML(periodName(entry, bucket))}</th>${cells(entry)}</tr>`).join('')}
+      </tbody>
+      <tfoot>
+        <tr><th scope="row">Whole range</th>${cells(totals)}</tr>
+        <tr><th scope="row">Previous period (${formatRange(before)})</th>${cells(previous)}</tr>
+      </tfoot>
+    </table>
+  `;
+}
+
+/**
+ * Planned vs. tracked (focus timer) time, per tag and per tracked task.
+ */
+function renderTrackedTime({ planned, actual, byTag, byTask }) {
+  const difference = (minutes) => (minutes > 0 ? '+' : minutes < 0 ? '−' : '') + formatDuration(Math.abs(minutes));
+  const tags = Object.entries(byTag).sort((a, b) => b[1].planned - a[1].planned);
+
+  $('#tracked-summary').textContent = actual === 0
+    ? 'No time tracked yet. Start the focus timer from a task\'s ⏲️ button.'
+    : `${formatDuration(actual)} tracked against ${formatDuration(planned)} planned` +
+      (planned > 0 ? ` (${Math.round((actual / planned) * 100)}%).` : '.');
+
+  $('#tracked-time').innerHTML = tags.length === 0 ? '' : `
+    <table class="analytics-data">
+      <caption>By tag</caption>
+      <thead>
+        <tr><th scope="col">Tag</th><th scope="col">Planned</th><th scope="col">Actual</th><th scope="col">Difference</th></tr>
+      </thead>
+      <tbody>
+        ${tags.map(([tag, t]) => `
+        <tr>
+          <th scope="row"><span class="record-card-tag"${tagStyle(tag)}>${escapeHTML(tag)}</span></th>
+          <td>${formatDuration(t.planned)}</td>
+          <td>${formatDuration(t.actual)}</td>
+          <td>${t.actual > 0 ? difference(t.actual - t.planned) : '—'}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    ${byTask.length === 0 ? '' : `
+    <table class="analytics-data">
+      <caption>By task</caption>
+      <thead>
+        <tr><th scope="col">Task</th><th scope="col">Planned</th><th scope="col">Actual</th><th scope="col">Difference</th></tr>
+      </thead>
+      <tbody>
+        ${byTask.map(t => `
+        <tr>
+          <th scope="row">${escapeHTML(t.title)}${t.occurrenceDate ? ` <small>(${escapeHTML(t.occurrenceDate)})</small>` : ''}</th>
+          <td>${formatDuration(t.planned)}</td>
+          <td>${formatDuration(t.actual)}</td>
+          <td>${difference(t.actual - t.planned)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`}
+  `;
+}
+
+function renderCourseStats(courses) {
+  const linked = courses.filter(c => c.count > 0);
+  $('#course-stats-summary').textContent = courses.length === 0
+    ? 'No courses yet. Add your courses in Settings, then link tasks to them.'
+    : linked.length === 0 ? 'No tasks in this range are linked to a course.'
+      : `${linked.length} of ${courses.length} ${courses.length === 1 ? 'course has' : 'courses have'} tasks in this range.`;
+
+  $('#course-stats').innerHTML = linked.length === 0 ? '' : `
+    <table class="analytics-data">
+      <caption>Tasks and time per course</caption>
+      <thead>
+        <tr><th scope="col">Course</th><th scope="col">Done</th><th scope="col">Planned</th><th scope="col">This week</th><th scope="col">Tracked</th></tr>
+      </thead>
+      <tbody>
+        ${linked.map(c => `
+        <tr>
+          <th scope="row"><span class="course-badge" style="--course-color:${c.color}">${escapeHTML(c.code)}</span> ${escapeHTML(c.name)}</th>
+          <td>${c.completedCount}/${c.count}</td>
+          <td>${formatDuration(c.planned)} <small>(${formatDuration(c.done)} done)</small></td>
+          <td>${formatDuration(c.weekly)}</td>
+          <td>${c.actual > 0 ? formatDuration(c.actual) : '—'}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  `;
 }
 
-function renderTagBreakdown(tagDurations) {
+function renderTagBreakdown(tagDurations, tagCompletion = {}) {
   const container = $('#tag-breakdown');
   const entries = Object.entries(tagDurations).sort((a, b) => b[1] - a[1]);
   const maxDur = entries.length > 0 ? entries[0][1] : 1;
@@ -546,34 +1889,407 @@ function renderTagBreakdown(tagDurations) {
     const displayVal = state.settings.durationUnit === 'hours'
       ? (dur / 60).toFixed(1) + ' hr'
       : dur + ' min';
+    const done = tagCompletion[tag] || { total: 0, completed: 0, rate: 0 };
+    const ratePct = Math.round(done.rate * 100);
 
     return `
       <div class="tag-row">
         <span class="tag-row-name">${escapeHTML(tag)}</span>
         <div class="tag-row-bar-bg">
-          <div class="tag-row-bar" style="width:${pct}%"></div>
+          <div class="tag-row-bar" style="width:${pct}%;--tag-color:${tagColor(tag, state.settings.tagColors)}"></div>
         </div>
         <span class="tag-row-value">${displayVal}</span>
+        <span class="tag-row-rate" title="${done.completed} of ${done.total} completed">${ratePct}% done</span>
       </div>
     `;
   }).join('');
 }
 
 // =============================================================================
-//  ADD FORM (for the "Add New" page — new task creation only)
+//  CALENDAR — Month / week grid (ARIA grid with roving tabindex)
 // =============================================================================
-export function initForm() {
-  const form = $('#task-form');
-  const fields = ['title', 'date', 'duration', 'tag', 'notes'];
-
-  // Live validation on blur
-  fields.forEach(field => {
-    const input = $(`#form-${field}`);
-    if (!input) return;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export function initCalendar() {
+  $('#calendar-prev').addEventListener('click', () => moveCalendarPeriod(-1));
+  $('#calendar-next').addEventListener('click', () => moveCalendarPeriod(1));
+  $('#calendar-today').addEventListener('click', () => {
+    calendarDate = localToday();
+    renderCalendar();
+  });
 
-    input.addEventListener('blur', () => {
-      const result = validateField(field, input.value);
-      showFieldStatus(field, result);
+  $$('.calendar-views [data-view]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      calendarView = btn.dataset.view;
+      $$('.calendar-views [data-view]').forEach(b => {
+        b.classList.toggle('active', b === btn);
+        b.setAttribute('aria-pressed', String(b === btn));
+      });
+      renderCalendar();
+      announce(`${btn.textContent} view.`);
+    });
+  });
+
+  // Day view: hour slots start a new task at that time
+  $('#calendar-day').addEventListener('click', (e) => {
+    const slot = e.target.closest('.timeline-slot');
+    if (slot) startNewTask(slot.dataset.date, slot.dataset.time);
+  });
+
+  const grid = $('#calendar-grid');
+
+  grid.addEventListener('click', (e) => {
+    const cell = e.target.closest('.cal-day');
+    if (cell && !movingTask) startNewTask(cell.dataset.date);
+  });
+
+  grid.addEventListener('keydown', (e) => {
+    const cell = e.target.closest('.cal-day');
+    if (!cell) return;
+    const date = cell.dataset.date;
+    const { start: weekFirst, end: weekLast } = weekRange(date, state.settings.weekStart);
+    let target = null;
+
+    // Keyboard rescheduling: M picks up (and cycles through) the day's tasks
+    if (e.key === 'm' || e.key === 'M') {
+      e.preventDefault();
+      pickUpCalendarTask(date);
+      return;
+    }
+    if (movingTask && movingTask.source === 'calendar') {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        dropMovingTask();
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelMovingTask();
+        return;
+      }
+    }
+
+    switch (e.key) {
+      case 'ArrowLeft': target = addDays(date, -1); break;
+      case 'ArrowRight': target = addDays(date, 1); break;
+      case 'ArrowUp': target = addDays(date, -7); break;
+      case 'ArrowDown': target = addDays(date, 7); break;
+      case 'Home': target = weekFirst; break;
+      case 'End': target = weekLast; break;
+      case 'PageUp': target = shiftCalendarDate(date, -1); break;
+      case 'PageDown': target = shiftCalendarDate(date, 1); break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        startNewTask(date);
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    const moving = movingTask && movingTask.source === 'calendar';
+    if (moving) movingTask.toDate = target;
+    focusCalendarDay(target);
+    if (moving) {
+      $$('#calendar-grid .cal-day--drop').forEach(c => c.classList.remove('cal-day--drop'));
+      const dropCell = $(`#calendar-grid .cal-day[data-date="${target}"]`);
+      if (dropCell) dropCell.classList.add('cal-day--drop');
+      announce(`Move "${movingTask.title}" to ${longDate(target)}? Enter to drop, Escape to cancel.`);
+    }
+  });
+}
+
+/**
+ * Pick up a task from a calendar day. Pressing M again on the same day
+ * cycles through that day's tasks before any move is made.
+ */
+function pickUpCalendarTask(date) {
+  const dayTasks = state.getOccurrences({ start: date, end: date }).filter(t => t.dueDate === date);
+  if (dayTasks.length === 0) {
+    announce('No tasks on this day to move.');
+    return;
+  }
+
+  let index = 0;
+  if (movingTask && movingTask.source === 'calendar' && movingTask.fromDate === date && movingTask.toDate === date) {
+    index = (movingTask.index + 1) % dayTasks.length;
+  }
+  const task = dayTasks[index];
+  movingTask = {
+    source: 'calendar',
+    id: task.id,
+    occurrence: task.occurrenceDate || null,
+    title: task.title,
+    fromDate: date,
+    toDate: date,
+    index
+  };
+  const cell = $(`#calendar-grid .cal-day[data-date="${date}"]`);
+  if (cell) cell.classList.add('cal-day--drop');
+  const of = dayTasks.length > 1 ? ` (${index + 1} of ${dayTasks.length}, press M for the next)` : '';
+  announce(`Picked up "${task.title}"${of}. Use arrow keys to choose a day, Enter to drop, Escape to cancel.`);
+}
+
+/**
+ * Move the focused day by one month, week or day depending on the view.
+ */
+function shiftCalendarDate(date, step) {
+  if (calendarView === 'day') return addDays(date, step);
+  if (calendarView === 'week') return addDays(date, step * 7);
+  const d = parseDate(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + step);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return formatDate(d);
+}
+
+function moveCalendarPeriod(step) {
+  calendarDate = shiftCalendarDate(calendarDate || localToday(), step);
+  renderCalendar();
+}
+
+function focusCalendarDay(date) {
+  calendarDate = date;
+  let cell = $(`#calendar-grid .cal-day[data-date="${date}"]`);
+  // Month view shows neighbouring days too, but leaving the month re-renders it
+  if (!cell || (calendarView === 'month' && cell.classList.contains('cal-day--outside'))) {
+    renderCalendar();
+    cell = $(`#calendar-grid .cal-day[data-date="${date}"]`);
+  } else {
+    $$('#calendar-grid .cal-day').forEach(c => {
+      c.tabIndex = -1;
+      c.setAttribute('aria-selected', 'false');
+    });
+    cell.tabIndex = 0;
+    cell.setAttribute('aria-selected', 'true');
+  }
+  if (cell) cell.focus();
+}
+
+/**
+ * First and last day shown in the grid for the current view.
+ */
+function getCalendarRange(focus) {
+  if (calendarView === 'day') return { start: focus, end: focus };
+  const weekStart = state.settings.weekStart;
+  if (calendarView === 'week') return weekRange(focus, weekStart);
+  const d = parseDate(focus);
+  const first = formatDate(new Date(d.getFullYear(), d.getMonth(), 1));
+  const last = formatDate(new Date(d.getFullYear(), d.getMonth() + 1, 0));
+  return { start: startOfWeek(first, weekStart), end: weekRange(last, weekStart).end };
+}
+
+export function renderCalendar() {
+  const grid = $('#calendar-grid');
+  if (!grid) return;
+
+  const today = localToday();
+  const focus = calendarDate || today;
+  const focusDate = parseDate(focus);
+  const { start, end } = getCalendarRange(focus);
+
+  // Group tasks (and recurring occurrences) by day
+  const byDate = {};
+  state.sortTasks('date', 'asc', { start, end }).forEach(task => {
+    if (task.dueDate < start || task.dueDate > end) return;
+    (byDate[task.dueDate] = byDate[task.dueDate] || []).push(task);
+  });
+
+  // Heading + nav labels
+  const label = {
+    month: () => focusDate.toLocaleDateString('en', { month: 'long', year: 'numeric' }),
+    week: () => `Week of ${parseDate(start).toLocaleDateString('en', { month: 'short', day: 'numeric', year: 'numeric' })}`,
+    day: () => focusDate.toLocaleDateString('en', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+  }[calendarView]();
+  $('#calendar-label').textContent = label;
+  $('#calendar-prev').setAttribute('aria-label', `Previous ${calendarView}`);
+  $('#calendar-next').setAttribute('aria-label', `Next ${calendarView}`);
+
+  const dayView = $('#calendar-day');
+  grid.hidden = calendarView === 'day';
+  dayView.hidden = calendarView !== 'day';
+  if (calendarView === 'day') {
+    dayView.innerHTML = renderDayTimeline(focus, byDate[focus] || [], today);
+    return;
+  }
+
+  grid.classList.toggle('calendar-grid--week', calendarView === 'week');
+  const maxShown = calendarView === 'month' ? 3 : 12;
+
+  let rows = '';
+  for (let weekStart = start; weekStart <= end; weekStart = addDays(weekStart, 7)) {
+    let cells = '';
+    for (let i = 0; i < 7; i++) {
+      const date = addDays(weekStart, i);
+      cells += renderCalendarDay(date, byDate[date] || [], {
+        today,
+        focus,
+        outside: calendarView === 'month' && parseDate(date).getMonth() !== focusDate.getMonth(),
+        maxShown
+      });
+    }
+    rows += `<tr role="row">${cells}</tr>`;
+  }
+
+  grid.innerHTML = `
+    <thead>
+      <tr role="row">
+        ${WEEKDAYS.map((_, i) => WEEKDAYS[(i + state.settings.weekStart) % 7]).map(day => `<th role="columnheader" scope="col"><abbr title="${day}">${day.slice(0, 3)}</abbr></th>`).join('')}
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  `;
+}
+
+function renderCalendarDay(date, tasks, { today, focus, outside, maxShown }) {
+  const d = parseDate(date);
+  const total = tasks.reduce((sum, t) => sum + t.duration, 0);
+  const classes = ['cal-day'];
+  if (outside) classes.push('cal-day--outside');
+  if (date === today) classes.push('cal-day--today');
+  if (movingTask && movingTask.source === 'calendar' && date === movingTask.toDate) classes.push('cal-day--drop');
+
+  const fullDate = d.toLocaleDateString('en', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  const summary = tasks.length > 0
+    ? `${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'}, ${formatDuration(total)}`
+    : 'no tasks';
+  const shown = tasks.slice(0, maxShown);
+  const extra = tasks.length - shown.length;
+
+  return `
+    <td role="gridcell" class="${classes.join(' ')}" data-date="${date}"
+        tabindex="${date === focus ? 0 : -1}" aria-selected="${date === focus}"
+        ${date === today ? 'aria-current="date"' : ''}
+        aria-label="${fullDate}: ${summary}">
+      <span class="cal-day-num" aria-hidden="true">${d.getDate()}</span>
+      ${total > 0 ? `<span class="cal-day-total" aria-hidden="true">${formatDuration(total)}</span>` : ''}
+      ${tasks.length > 0 ? `
+        <ul class="cal-day-tasks" aria-hidden="true">
+          ${shown.map(t => `<li class="cal-task${t.completed ? ' cal-task--done' : ''}" draggable="true" data-id="${escapeHTML(t.id)}"${t.occurrenceDate ? ` data-occurrence="${t.occurrenceDate}"` : ''} title="${escapeHTML(t.title)} · ${formatDuration(t.duration)}">${t.startTime ? `${t.startTime} ` : ''}${escapeHTML(t.title)}${calendarView === 'week' ? ` · ${formatDuration(t.duration)}` : ''}</li>`).join('')}
+          ${extra > 0 ? `<li class="cal-more">+${extra} more</li>` : ''}
+        </ul>` : ''}
+    </td>
+  `;
+}
+
+// --------------- Day view timeline ---------------
+/**
+ * Place timed tasks on the timeline: overlapping tasks share the width in lanes.
+ * Very short tasks get a minimum height so they stay visible.
+ * @returns {Array<{ task, start: number, end: number, lane: number, lanes: number }>} minutes since midnight
+ */
+function layoutTimeline(tasks) {
+  const items = tasks
+    .map(task => {
+      const start = timeToMinutes(task.startTime);
+      return { task, start, end: Math.min(1440, start + Math.max(task.duration, 15)), lane: 0, lanes: 1 };
+    })
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let cluster = [];
+  let laneEnds = [];
+  let clusterEnd = 0;
+  const closeCluster = () => cluster.forEach(item => { item.lanes = laneEnds.length; });
+
+  items.forEach(item => {
+    if (cluster.length > 0 && item.start >= clusterEnd) {
+      closeCluster();
+      cluster = [];
+      laneEnds = [];
+      clusterEnd = 0;
+    }
+    let lane = laneEnds.findIndex(end => end <= item.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = item.end;
+    item.lane = lane;
+    cluster.push(item);
+    clusterEnd = Math.max(clusterEnd, item.end);
+  });
+  closeCluster();
+  return items;
+}
+
+function renderDayTimeline(date, tasks, today) {
+  const fullDate = parseDate(date).toLocaleDateString('en', { weekday: 'long', month: 'long', day: 'numeric' });
+  const allDay = tasks.filter(t => !t.startTime);
+  const items = layoutTimeline(tasks.filter(t => t.startTime));
+
+  // Working hours by default, stretched to fit early or late tasks
+  const firstHour = Math.min(8, ...items.map(i => Math.floor(i.start / 60)));
+  const lastHour = Math.max(22, ...items.map(i => Math.ceil(i.end / 60)));
+  const hourOffset = minutes => (minutes - firstHour * 60) / 60;
+
+  const slots = [];
+  for (let hour = firstHour; hour < lastHour; hour++) {
+    const time = `${String(hour).padStart(2, '0')}:00`;
+    slots.push(`
+      <li>
+        <button type="button" class="timeline-slot" data-date="${date}" data-time="${time}"
+                aria-label="Add a task at ${time} on ${fullDate}">
+          <span class="timeline-hour">${time}</span>
+        </button>
+      </li>`);
+  }
+
+  const events = items.map(({ task, start, end, lane, lanes }) => `
+    <a class="timeline-event${task.completed ? ' timeline-event--done' : ''}" href="${buildRoute({ taskId: task.id })}"
+       style="--tag-color:${tagColor(task.tag, state.settings.tagColors)};top:calc(${hourOffset(start)} * var(--timeline-hour));height:calc(${hourOffset(end) - hourOffset(start)} * var(--timeline-hour));left:${(lane * 100) / lanes}%;width:${100 / lanes}%">
+      <span class="timeline-event-time">${formatTimeRange(task)}</span>
+      <span class="timeline-event-title">${escapeHTML(task.title)}</span>
+    </a>`).join('');
+
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const nowLine = date === today && nowMinutes >= firstHour * 60 && nowMinutes < lastHour * 60
+    ? `<div class="timeline-now" style="top:calc(${hourOffset(nowMinutes)} * var(--timeline-hour))" aria-hidden="true"></div>`
+    : '';
+
+  return `
+    <div class="timeline-allday">
+      <h4 class="timeline-allday-title">All day</h4>
+      ${allDay.length > 0 ? `
+        <ul class="timeline-allday-list">
+          ${allDay.map(t => `<li><a class="cal-task${t.completed ? ' cal-task--done' : ''}" href="${buildRoute({ taskId: t.id })}">${escapeHTML(t.title)} · ${formatDuration(t.duration)}</a></li>`).join('')}
+        </ul>` : '<p class="settings-hint">No all-day tasks.</p>'}
+    </div>
+    <div class="timeline-body">
+      <ol class="timeline-hours" aria-label="Hours">${slots.join('')}</ol>
+      <div class="timeline-events">${events}${nowLine}</div>
+    </div>
+  `;
+}
+
+/**
+ * Open the Add form with the due date (and optionally start time) pre-filled.
+ */
+export function startNewTask(date, time = '') {
+  navigateTo('add', { focus: false });
+  $('#form-date').value = date;
+  $('#form-time').value = time;
+  updateTimeSuggestion();
+  $('#form-title').focus();
+  announce(`Adding a new task due ${date}${time ? ` at ${time}` : ''}.`);
+}
+
+// =============================================================================
+//  ADD FORM (for the "Add New" page — new task creation only)
+// =============================================================================
+export function initForm() {
+  const form = $('#task-form');
+  const fields = ['title', 'date', 'time', 'duration', 'tag', 'priority', 'notes', 'subtasks', 'interval', 'until', 'count'];
+
+  // Live validation on blur
+  fields.forEach(field => {
+    const input = $(`#form-${field}`);
+    if (!input) return;
+
+    input.addEventListener('blur', () => {
+      const result = validateField(field, input.value);
+      showFieldStatus(field, result);
+      if (['date', 'time', 'duration'].includes(field)) showScheduleWarnings();
     });
 
     // Clear error on input
@@ -593,15 +2309,24 @@ export function initForm() {
     const data = {
       title: $('#form-title').value,
       date: $('#form-date').value,
+      time: $('#form-time').value.trim(),
       duration: $('#form-duration').value,
       tag: $('#form-tag').value,
-      notes: $('#form-notes').value
+      priority: $('#form-priority').value,
+      courseId: $('#form-course').value || null,
+      notes: $('#form-notes').value,
+      subtasks: $('#form-subtasks').value,
+      repeat: $('#form-repeat').value,
+      interval: $('#form-interval').value,
+      weekdays: [...$$('input[name="form-weekday"]:checked')].map(box => Number(box.value)),
+      until: $('#form-until').value,
+      count: $('#form-count').value
     };
 
     const { valid, errors, warnings } = validateForm(data);
 
     // Show all errors
-    fields.forEach(f => {
+    [...fields, 'weekdays'].forEach(f => {
       showFieldStatus(f, {
         valid: !errors[f],
         error: errors[f] || null,
@@ -612,12 +2337,15 @@ export function initForm() {
     if (!valid) {
       const firstError = fields.find(f => errors[f]);
       if (firstError) $(`#form-${firstError}`).focus();
+      else if (errors.weekdays) $('input[name="form-weekday"]').focus();
       announce('Please fix the form errors before submitting.', 'assertive');
       return;
     }
 
-    state.addTask(data);
-    announce(`Task "${data.title}" added successfully.`, 'polite');
+    const schedule = showScheduleWarnings();
+    state.addTask({ ...data, subtasks: parseSubtaskLines(data.subtasks).subtasks, recurrence: buildRecurrence(data) });
+    const clashes = schedule ? [overlapWarning(schedule), capWarning(schedule)].filter(Boolean) : [];
+    announce(`Task "${data.title}" added successfully.${clashes.length > 0 ? ` Note: ${clashes.join(' ')}` : ''}`, 'polite');
 
     resetForm();
     navigateTo('records');
@@ -629,8 +2357,96 @@ export function initForm() {
     navigateTo('records');
   });
 
-  // Populate tag suggestions
+  // Offer a start time found in the notes ("Review at 10:30 AM")
+  $('#form-notes').addEventListener('input', updateTimeSuggestion);
+  $('#form-time').addEventListener('input', updateTimeSuggestion);
+  $('#form-time-suggest-btn').addEventListener('click', () => {
+    const time = extractTime($('#form-notes').value);
+    if (!time) return;
+    $('#form-time').value = time;
+    showFieldStatus('time', validateField('time', time));
+    updateTimeSuggestion();
+    $('#form-time').focus();
+    announce(`Start time set to ${time}.`);
+  });
+
+  // Repeat controls — reveal the fields that apply to the chosen frequency
+  $('#form-repeat').addEventListener('change', () => {
+    const repeat = $('#form-repeat').value;
+    updateRepeatFields();
+
+    // Weekly defaults to the due date's weekday
+    const date = $('#form-date').value;
+    const checked = $$('input[name="form-weekday"]:checked').length;
+    if (repeat === 'weekly' && !checked && validateField('date', date).valid) {
+      const box = $(`input[name="form-weekday"][value="${parseDate(date).getDay()}"]`);
+      if (box) box.checked = true;
+    }
+  });
+
+  // Populate tag suggestions and the course picker
   updateTagSuggestions();
+  updateCourseOptions();
+}
+
+/**
+ * Check the form's date/time/duration against what's already planned that day.
+ * Overlaps are shown on the start time, an over-cap day on the due date.
+ * @returns {object|null} checkSchedule result, null while the fields are invalid
+ */
+function showScheduleWarnings() {
+  const task = {
+    dueDate: $('#form-date').value,
+    startTime: $('#form-time').value.trim() || null,
+    duration: $('#form-duration').value
+  };
+  const fieldsValid = validateField('date', task.dueDate).valid &&
+    validateField('time', task.startTime).valid && validateField('duration', task.duration).valid;
+  if (!fieldsValid) return null;
+
+  task.duration = parseFloat(task.duration);
+  const dayTasks = state.getOccurrences({ start: task.dueDate, end: task.dueDate });
+  const schedule = checkSchedule(task, dayTasks, { dailyCap: state.settings.dailyCap });
+  showFieldStatus('time', { ...validateField('time', task.startTime), warning: overlapWarning(schedule) });
+  showFieldStatus('date', { ...validateField('date', task.dueDate), warning: capWarning(schedule) });
+  return schedule;
+}
+
+function overlapWarning({ overlaps }) {
+  if (overlaps.length === 0) return null;
+  return `Overlaps ${overlaps.map(t => `"${t.title}" (${formatTimeRange(t)})`).join(', ')}.`;
+}
+
+function capWarning({ dayTotal, overCap }) {
+  if (!overCap) return null;
+  return `That day would have ${formatDuration(dayTotal)} planned, over your ${formatDuration(state.settings.dailyCap)} daily cap.`;
+}
+
+function updateTimeSuggestion() {
+  const time = $('#form-time').value.trim() ? null : extractTime($('#form-notes').value);
+  $('#form-time-suggest').hidden = !time;
+  if (time) $('#form-time-suggest-btn').textContent = `Use ${time} from notes as the start time`;
+}
+
+function updateRepeatFields() {
+  const repeat = $('#form-repeat').value;
+  const repeats = repeat !== 'none';
+  $('#form-interval-group').hidden = !repeats;
+  $('#form-end-group').hidden = !repeats;
+  $('#form-weekdays').hidden = repeat !== 'weekly';
+  $('#form-interval-unit').textContent = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }[repeat] || '';
+}
+
+/**
+ * Turn the repeat form fields into a recurrence rule (null when not repeating).
+ */
+function buildRecurrence(data) {
+  if (!data.repeat || data.repeat === 'none') return null;
+  const rule = { freq: data.repeat, interval: parseInt(data.interval, 10) || 1 };
+  if (data.repeat === 'weekly') rule.weekdays = data.weekdays;
+  if (data.until) rule.until = data.until;
+  if (data.count) rule.count = parseInt(data.count, 10);
+  return rule;
 }
 
 function showFieldStatus(field, result) {
@@ -665,8 +2481,11 @@ function resetForm() {
   $('#add-heading').textContent = 'Add New Task';
   $('#form-submit-btn').textContent = 'Add Task';
 
+  updateRepeatFields();
+  updateTimeSuggestion();
+
   // Clear validation states
-  ['title', 'date', 'duration', 'tag', 'notes'].forEach(f => {
+  ['title', 'date', 'time', 'duration', 'tag', 'priority', 'notes', 'subtasks', 'interval', 'until', 'count', 'weekdays'].forEach(f => {
     const input = $(`#form-${f}`);
     const errorEl = $(`#form-${f}-error`);
     if (input) input.classList.remove('invalid', 'valid');
@@ -683,6 +2502,16 @@ export function updateTagSuggestions() {
   datalist.innerHTML = state.tags.map(t => `<option value="${escapeHTML(t)}">`).join('');
 }
 
+/**
+ * Refresh the Add form's course picker, keeping its choice while that course exists.
+ */
+function updateCourseOptions() {
+  const select = $('#form-course');
+  const chosen = select.value;
+  select.innerHTML = '<option value="">No course</option>' + courseOptions(chosen);
+  select.value = state.getCourse(chosen) ? chosen : '';
+}
+
 // =============================================================================
 //  SETTINGS
 // =============================================================================
@@ -696,6 +2525,15 @@ export function initSettings() {
     });
   });
 
+  // Week start
+  $$('input[name="week-start"]').forEach(radio => {
+    radio.checked = Number(radio.value) === state.settings.weekStart;
+    radio.addEventListener('change', () => {
+      state.updateSettings({ weekStart: Number(radio.value) });
+      announce(`Weeks now start on ${WEEKDAYS[radio.value]}.`);
+    });
+  });
+
   // Weekly cap
   const capInput = $('#settings-cap');
   capInput.value = state.settings.weeklyCap || '';
@@ -705,6 +2543,27 @@ export function initSettings() {
     announce(val > 0 ? `Weekly cap set to ${val} minutes.` : 'Weekly cap disabled.');
   });
 
+  // Weekly tag budgets
+  $('#budget-tag-select').addEventListener('change', fillBudgetInputs);
+  $('#save-budget-btn').addEventListener('click', saveBudget);
+  $('#budget-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('.budget-remove');
+    if (!btn) return;
+    state.setTagBudget(btn.dataset.tag, null);
+    renderBudgets();
+    announce(`Weekly budget for "${btn.dataset.tag}" removed.`);
+    showUndoToast(`Weekly budget for "${btn.dataset.tag}" removed.`);
+  });
+
+  // Daily cap
+  const dailyCapInput = $('#settings-daily-cap');
+  dailyCapInput.value = state.settings.dailyCap || '';
+  $('#save-daily-cap-btn').addEventListener('click', () => {
+    const val = parseInt(dailyCapInput.value) || 0;
+    state.updateSettings({ dailyCap: val });
+    announce(val > 0 ? `Daily cap set to ${val} minutes.` : 'Daily cap disabled.');
+  });
+
   // Tags management
   renderTagsList();
   $('#add-tag-btn').addEventListener('click', () => {
@@ -712,8 +2571,7 @@ export function initSettings() {
     const tag = input.value.trim();
     if (tag && /^[A-Za-z]+(?:[ -][A-Za-z]+)*$/.test(tag)) {
       state.addTag(tag);
-      renderTagsList();
-      updateTagSuggestions();
+      refreshTags();
       input.value = '';
       announce(`Tag "${tag}" added.`);
     } else {
@@ -721,9 +2579,19 @@ export function initSettings() {
     }
   });
 
+  initTagManager();
+
+  // Courses
+  initCourses();
+
   // Import/Export
   $('#export-btn').addEventListener('click', handleExport);
+  $('#export-ics-btn').addEventListener('click', handleExportICS);
+  $('#export-csv-btn').addEventListener('click', handleExportCSV);
   $('#import-input').addEventListener('change', handleImport);
+  initMergeDialog();
+  initCsvDialog();
+  initRecovery();
 
   // Import label keyboard support
   const importLabel = $('.import-label');
@@ -743,15 +2611,18 @@ export function initSettings() {
   $('#clear-data-btn').addEventListener('click', () => {
     showConfirm(
       'Clear All Data',
-      'This will permanently delete all tasks and reset settings. This cannot be undone.',
+      'This will delete all tasks and reset settings. You can undo this right afterwards.',
       () => {
         state.clearAll();
+        renderFocusTimer();
         renderRecords();
         renderDashboard();
         renderSettings();
         renderTagsList();
         updateTagSuggestions();
+        updateCourseOptions();
         announce('All data cleared.', 'polite');
+        showUndoToast('All data cleared.');
       }
     );
   });
@@ -760,80 +2631,792 @@ export function initSettings() {
 export function renderSettings() {
   // Refresh cap input
   $('#settings-cap').value = state.settings.weeklyCap || '';
+  $('#settings-daily-cap').value = state.settings.dailyCap || '';
 
   // Refresh unit selection
   $$('input[name="duration-unit"]').forEach(radio => {
     radio.checked = radio.value === state.settings.durationUnit;
   });
+  $$('input[name="week-start"]').forEach(radio => {
+    radio.checked = Number(radio.value) === state.settings.weekStart;
+  });
 
   renderTagsList();
+  renderCourses();
 }
 
 function renderTagsList() {
   const container = $('#tags-list');
-  container.innerHTML = state.tags.map(tag => `
-    <span class="tag-chip">
+  const counts = countTags(state.tasks);
+  container.innerHTML = state.tags.map(tag => {
+    const count = counts[tag] || 0;
+    return `
+    <span class="tag-chip"${tagStyle(tag)}>
+      <input type="color" class="tag-color-input" value="${tagColor(tag, state.settings.tagColors)}"
+             aria-label="Color for ${escapeHTML(tag)}" data-tag="${escapeHTML(tag)}">
       ${escapeHTML(tag)}
+      <span class="tag-count" aria-label="${count} ${count === 1 ? 'task' : 'tasks'}" title="${count} ${count === 1 ? 'task' : 'tasks'}">${count}</span>
       <button class="tag-chip-remove" aria-label="Remove tag ${escapeHTML(tag)}" data-tag="${escapeHTML(tag)}">×</button>
     </span>
-  `).join('');
+  `;
+  }).join('');
+
+  container.querySelectorAll('.tag-color-input').forEach(input => {
+    // 'change' fires once the picker closes, so a drag across colors is one undo step
+    input.addEventListener('change', () => {
+      state.setTagColor(input.dataset.tag, input.value);
+      renderTagsList();
+      announce(`Color of "${input.dataset.tag}" changed.`);
+    });
+  });
 
   container.querySelectorAll('.tag-chip-remove').forEach(btn => {
     btn.addEventListener('click', () => {
       const tag = btn.dataset.tag;
+      if (counts[tag]) {
+        // Tasks use it: let the user choose whether they keep it or move
+        $('#tag-manage-select').value = tag;
+        renderTagManager();
+        $('#tag-delete-mode').focus();
+        announce(`"${tag}" is used by ${counts[tag]} ${counts[tag] === 1 ? 'task' : 'tasks'}. Choose what happens to them, then press Delete Tag.`);
+        return;
+      }
       state.removeTag(tag);
-      renderTagsList();
-      updateTagSuggestions();
+      refreshTags();
       announce(`Tag "${tag}" removed.`);
+      showUndoToast(`Tag "${tag}" removed.`);
     });
   });
+
+  renderTagManager();
+  renderBudgets();
+}
+
+// ===== Tag budgets =====
+/**
+ * List the current budgets and refresh the tag picker (keeping its choice).
+ */
+function renderBudgets() {
+  const budgets = state.settings.tagBudgets;
+  const list = $('#budget-list');
+  const entries = Object.entries(budgets);
+  list.innerHTML = entries.length === 0
+    ? '<li class="settings-hint">No budgets yet.</li>'
+    : entries.map(([tag, budget]) => `
+      <li>
+        <span><span class="record-card-tag"${tagStyle(tag)}>${escapeHTML(tag)}</span> ${describeBudget(budget)} per week</span>
+        <button type="button" class="btn btn--secondary budget-remove" data-tag="${escapeHTML(tag)}"
+                aria-label="Remove budget for ${escapeHTML(tag)}">Remove</button>
+      </li>`).join('');
+
+  const select = $('#budget-tag-select');
+  const chosen = state.tags.includes(select.value) ? select.value : state.tags[0];
+  select.innerHTML = state.tags.map(tag => `<option value="${escapeHTML(tag)}">${escapeHTML(tag)}</option>`).join('');
+  if (chosen) select.value = chosen;
+  fillBudgetInputs();
+}
+
+// Show the chosen tag's current budget in the min/max inputs
+function fillBudgetInputs() {
+  const budget = state.settings.tagBudgets[$('#budget-tag-select').value] || {};
+  $('#budget-min').value = budget.min ?? '';
+  $('#budget-max').value = budget.max ?? '';
+  $('#budget-error').hidden = true;
+}
+
+function saveBudget() {
+  const tag = $('#budget-tag-select').value;
+  const errorEl = $('#budget-error');
+  if (!tag) return;
+  const { budget, error } = parseTagBudget($('#budget-min').value, $('#budget-max').value);
+  if (error) {
+    errorEl.textContent = error;
+    errorEl.hidden = false;
+    $('#budget-min').focus();
+    return;
+  }
+  errorEl.hidden = true;
+  if (!budget && !state.settings.tagBudgets[tag]) return;
+  state.setTagBudget(tag, budget);
+  renderBudgets();
+  announce(budget ? `Weekly budget for "${tag}" set to ${describeBudget(budget)}.` : `Weekly budget for "${tag}" removed.`);
+}
+
+/**
+ * Fill the rename/merge/delete controls for the tag chosen in "Manage tag".
+ */
+function renderTagManager() {
+  const select = $('#tag-manage-select');
+  const chosen = state.tags.includes(select.value) ? select.value : state.tags[0];
+  const options = (tags) => tags.map(tag => `<option value="${escapeHTML(tag)}">${escapeHTML(tag)}</option>`).join('');
+  const others = state.tags.filter(tag => tag !== chosen);
+
+  select.innerHTML = options(state.tags);
+  if (chosen) select.value = chosen;
+  $('#tag-merge-select').innerHTML = options(others);
+  $('#tag-delete-mode').innerHTML = '<option value="">Keep their tag</option>' +
+    others.map(tag => `<option value="${escapeHTML(tag)}">Move to ${escapeHTML(tag)}</option>`).join('');
+
+  ['#tag-rename-input', '#tag-rename-btn', '#tag-delete-mode', '#tag-delete-btn'].forEach(sel => {
+    $(sel).disabled = !chosen;
+  });
+  $('#tag-merge-select').disabled = others.length === 0;
+  $('#tag-merge-btn').disabled = others.length === 0;
+}
+
+function refreshTags() {
+  renderTagsList();
+  updateTagSuggestions();
+}
+
+function initTagManager() {
+  $('#tag-manage-select').addEventListener('change', renderTagManager);
+
+  $('#tag-rename-btn').addEventListener('click', () => {
+    const from = $('#tag-manage-select').value;
+    const input = $('#tag-rename-input');
+    const to = input.value.trim();
+    if (!validateField('tag', to).valid) {
+      announce('Invalid tag. Use only letters, spaces, or hyphens.', 'assertive');
+      input.focus();
+      return;
+    }
+    if (to === from) return;
+    const merging = state.tags.includes(to);
+    const count = countTags(state.tasks)[from] || 0;
+    const run = () => {
+      const changed = state.renameTag(from, to);
+      input.value = '';
+      $('#tag-manage-select').value = to;
+      refreshTags();
+      const message = `${merging ? 'Merged' : 'Renamed'} "${from}" ${merging ? 'into' : 'to'} "${to}"; ${changed} ${changed === 1 ? 'task' : 'tasks'} updated.`;
+      announce(message);
+      showUndoToast(message);
+    };
+    if (merging) {
+      showConfirm('Merge Tags', `"${to}" already exists. Merge "${from}" into it? ${count} ${count === 1 ? 'task' : 'tasks'} will be re-tagged.`, run, 'Yes, Merge');
+    } else {
+      run();
+    }
+  });
+
+  $('#tag-merge-btn').addEventListener('click', () => {
+    const from = $('#tag-manage-select').value;
+    const into = $('#tag-merge-select').value;
+    const count = countTags(state.tasks)[from] || 0;
+    showConfirm('Merge Tags', `Merge "${from}" into "${into}"? ${count} ${count === 1 ? 'task' : 'tasks'} will be re-tagged and "${from}" removed.`, () => {
+      const changed = state.mergeTags([from], into);
+      $('#tag-manage-select').value = into;
+      refreshTags();
+      const message = `Merged "${from}" into "${into}"; ${changed} ${changed === 1 ? 'task' : 'tasks'} updated.`;
+      announce(message);
+      showUndoToast(message);
+    }, 'Yes, Merge');
+  });
+
+  $('#tag-delete-btn').addEventListener('click', () => {
+    const tag = $('#tag-manage-select').value;
+    const reassignTo = $('#tag-delete-mode').value || null;
+    const count = countTags(state.tasks)[tag] || 0;
+    const outcome = count === 0 ? 'No tasks use it.'
+      : reassignTo ? `Its ${count} ${count === 1 ? 'task moves' : 'tasks move'} to "${reassignTo}".`
+        : `Its ${count} ${count === 1 ? 'task keeps' : 'tasks keep'} the tag.`;
+    showConfirm('Delete Tag', `Delete the tag "${tag}"? ${outcome}`, () => {
+      state.removeTag(tag, reassignTo);
+      refreshTags();
+      announce(`Tag "${tag}" removed.`);
+      showUndoToast(`Tag "${tag}" removed.`);
+    });
+  });
+}
+
+// ===== Courses =====
+// Course form fields: data key → input id
+const COURSE_INPUTS = {
+  code: 'course-code', name: 'course-name', instructor: 'course-instructor',
+  termStart: 'course-term-start', termEnd: 'course-term-end'
+};
+
+/**
+ * List the courses, current and upcoming terms first.
+ */
+function renderCourses() {
+  const today = localToday();
+  const counts = countCourseTasks(state.tasks);
+  const list = $('#course-list');
+  list.innerHTML = state.courses.length === 0
+    ? '<li class="settings-hint">No courses yet.</li>'
+    : sortCourses(state.courses, today).map(c => {
+      const count = counts[c.id] || 0;
+      const details = [
+        c.instructor,
+        `${c.termStart} – ${c.termEnd}${c.termEnd < today ? ' (ended)' : ''}`,
+        `${count} ${count === 1 ? 'task' : 'tasks'}`
+      ].filter(Boolean).map(escapeHTML).join(' · ');
+      return `
+      <li>
+        <span>
+          <span class="course-badge" style="--course-color:${c.color}">${escapeHTML(c.code)}</span>
+          ${escapeHTML(c.name)}
+          <br><span class="course-list-meta">${details}</span>
+        </span>
+        <span class="import-export-btns">
+          <button type="button" class="btn btn--secondary course-edit" data-id="${escapeHTML(c.id)}"
+                  aria-label="Edit ${escapeHTML(c.code)}">Edit</button>
+          <button type="button" class="btn btn--secondary course-remove" data-id="${escapeHTML(c.id)}"
+                  aria-label="Remove ${escapeHTML(c.code)}">Remove</button>
+        </span>
+      </li>`;
+    }).join('');
+}
+
+function initCourses() {
+  renderCourses();
+  $('#course-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveCourse();
+  });
+  $('#cancel-course-btn').addEventListener('click', () => {
+    resetCourseForm();
+    announce('Course edit cancelled.');
+  });
+
+  $('#course-list').addEventListener('click', (e) => {
+    const edit = e.target.closest('.course-edit');
+    const remove = e.target.closest('.course-remove');
+    if (edit) editCourse(edit.dataset.id);
+    if (remove) removeCourse(remove.dataset.id);
+  });
+}
+
+function editCourse(id) {
+  const course = state.getCourse(id);
+  if (!course) return;
+  resetCourseForm();
+  $('#course-id').value = id;
+  Object.entries(COURSE_INPUTS).forEach(([key, inputId]) => {
+    $(`#${inputId}`).value = course[key];
+  });
+  $('#course-color').value = course.color;
+  $('#course-form-heading').textContent = `Edit ${course.code}`;
+  $('#save-course-btn').textContent = 'Save Course';
+  $('#cancel-course-btn').hidden = false;
+  $('#course-code').focus();
+}
+
+function saveCourse() {
+  const data = Object.fromEntries(Object.entries(COURSE_INPUTS).map(([key, inputId]) => [key, $(`#${inputId}`).value.trim()]));
+  data.color = $('#course-color').value;
+
+  const { valid, errors } = validateCourseForm(data);
+  Object.entries(COURSE_INPUTS).forEach(([key, inputId]) => {
+    const errorEl = $(`#course-${key}-error`);
+    errorEl.textContent = errors[key] || '';
+    errorEl.hidden = !errors[key];
+    $(`#${inputId}`).classList.toggle('invalid', !!errors[key]);
+  });
+  if (!valid) {
+    const first = Object.keys(COURSE_INPUTS).find(key => errors[key]);
+    $(`#${COURSE_INPUTS[first]}`).focus();
+    announce('Please fix the course errors before saving.', 'assertive');
+    return;
+  }
+
+  const id = $('#course-id').value;
+  const course = id ? state.updateCourse(id, data) : state.addCourse(data);
+  resetCourseForm();
+  refreshCourses();
+  announce(`Course ${course.code} ${id ? 'updated' : 'added'}.`);
+}
+
+function removeCourse(id) {
+  const course = state.getCourse(id);
+  if (!course) return;
+  const count = countCourseTasks(state.tasks)[id] || 0;
+  const run = () => {
+    state.removeCourse(id);
+    if ($('#course-id').value === id) resetCourseForm();
+    refreshCourses();
+    const message = `Course ${course.code} removed.${count > 0 ? ` ${count} ${count === 1 ? 'task is' : 'tasks are'} no longer linked to it.` : ''}`;
+    announce(message);
+    showUndoToast(message);
+  };
+  if (count === 0) {
+    run();
+    return;
+  }
+  showConfirm('Remove Course', `Remove ${course.code} (${course.name})? Its ${count} ${count === 1 ? 'task stays' : 'tasks stay'}, no longer linked to a course.`, run, 'Yes, Remove');
+}
+
+function resetCourseForm() {
+  $('#course-form').reset();
+  $('#course-id').value = '';
+  $('#course-color').value = DEFAULT_COURSE_COLOR;
+  $('#course-form-heading').textContent = 'Add a course';
+  $('#save-course-btn').textContent = 'Add Course';
+  $('#cancel-course-btn').hidden = true;
+  Object.entries(COURSE_INPUTS).forEach(([key, inputId]) => {
+    $(`#course-${key}-error`).hidden = true;
+    $(`#${inputId}`).classList.remove('invalid');
+  });
+}
+
+function refreshCourses() {
+  renderCourses();
+  updateCourseOptions();
 }
 
 // ===== Import / Export =====
-function handleExport() {
-  const json = exportJSON(state.tasks);
-  const blob = new Blob([json], { type: 'application/json' });
+function downloadFile(contents, type, extension, name = 'export') {
+  const blob = new Blob([contents], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `campus-planner-export-${new Date().toISOString().split('T')[0]}.json`;
+  a.download = `campus-planner-${name}-${localToday()}.${extension}`;
   a.click();
   URL.revokeObjectURL(url);
+}
+
+function handleExport() {
+  downloadFile(exportJSON(state.tasks, state.settings.savedSearches, state.courses), 'application/json', 'json');
   announce('Data exported successfully.');
 }
 
+function handleExportCSV() {
+  const visibleOnly = $('#csv-visible-only').checked;
+  // The Tasks page lists occurrences, so a filtered export has one row per dated occurrence
+  const tasks = visibleOnly ? getVisibleTasks().filtered : state.tasks;
+  downloadFile(exportCSV(tasks), 'text/csv', 'csv');
+  announce(`Exported ${tasks.length} ${visibleOnly ? 'visible ' : ''}tasks as CSV.`);
+}
+
+function handleExportICS() {
+  const component = $('#ics-component').value;
+  downloadFile(exportICS(state.tasks, component), 'text/calendar', 'ics');
+  announce(`Exported ${state.tasks.length} tasks as calendar ${component === 'VTODO' ? 'to-dos' : 'events'}.`);
+}
+
 function handleImport(e) {
   const file = e.target.files[0];
   if (!file) return;
 
-  const statusEl = $('#import-status');
+  const mode = $('input[name="import-mode"]:checked')?.value || 'merge';
 
   const reader = new FileReader();
   reader.onload = () => {
-    const result = validateImport(reader.result);
-
-    if (result.data.length > 0) {
-      state.replaceTasks(result.data);
-      renderRecords();
-      statusEl.className = 'import-status success';
-      statusEl.textContent = `Imported ${result.data.length} tasks successfully.`;
-      statusEl.hidden = false;
-      announce(`Imported ${result.data.length} tasks.`);
-
-      if (result.errors.length > 0) {
-        statusEl.textContent += ` ${result.errors.length} items were skipped due to validation errors.`;
-      }
-    } else {
-      statusEl.className = 'import-status error';
-      statusEl.textContent = `Import failed: ${result.errors.join('; ')}`;
-      statusEl.hidden = false;
-      announce('Import failed. Check the file format.', 'assertive');
+    // CSV needs a column mapping first; it finishes the import from its dialog
+    if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+      showCsvMapping(reader.result, mode);
+      return;
     }
+    // Calendar files are recognised by extension or by their header
+    const isICS = /\.ics$/i.test(file.name) || /^\s*BEGIN:VCALENDAR/i.test(reader.result);
+    finishImport(isICS ? importICS(reader.result) : validateImport(reader.result, state.courses), mode);
   };
   reader.readAsText(file);
   e.target.value = '';
 }
 
+/**
+ * Hand validated import results to the merge preview or replace the task list.
+ * Saved searches and courses in a JSON export are added alongside (same name
+ * or id replaces), so imported tasks find the courses they link to.
+ * @param {{ data: Array, errors: string[], savedSearches?: Array, courses?: Array }} result
+ *   From validateImport, importICS or importCSV
+ * @param {'merge'|'replace'} mode
+ */
+function finishImport(result, mode) {
+  const statusEl = $('#import-status');
+  const savedSearches = result.savedSearches || [];
+  const courses = result.courses || [];
+
+  if (result.data.length > 0 && mode === 'merge') {
+    showMergePreview(planMerge(state.tasks, result.data), result.errors, savedSearches, courses);
+  } else if (result.data.length > 0) {
+    state.importData({ tasks: result.data, savedSearches, courses });
+    updateCourseOptions();
+    renderRecords();
+    showUndoToast(`Imported ${result.data.length} tasks.`);
+    statusEl.className = 'import-status success';
+    statusEl.textContent = `Imported ${result.data.length} tasks successfully.`;
+    statusEl.hidden = false;
+    announce(`Imported ${result.data.length} tasks.`);
+
+    if (result.errors.length > 0) {
+      statusEl.textContent += ` ${result.errors.length} items were skipped or fixed due to validation errors:`;
+      statusEl.insertAdjacentHTML('beforeend', renderImportErrors(result.errors));
+    }
+  } else if (savedSearches.length + courses.length > 0) {
+    // An export with smart lists or courses but no tasks
+    state.importData({ savedSearches, courses });
+    updateCourseOptions();
+    const message = `Imported ${[
+      savedSearches.length > 0 && `${savedSearches.length} smart lists`,
+      courses.length > 0 && `${courses.length} courses`
+    ].filter(Boolean).join(' and ')}.`;
+    showUndoToast(message);
+    statusEl.className = 'import-status success';
+    statusEl.textContent = message;
+    statusEl.hidden = false;
+    announce(message);
+  } else {
+    statusEl.className = 'import-status error';
+    statusEl.textContent = `Import failed: ${result.errors.join('; ')}`;
+    statusEl.hidden = false;
+    announce('Import failed. Check the file format.', 'assertive');
+  }
+}
+
+// ===== Recovered data =====
+/**
+ * Offer stored data that couldn't be read at startup (see storage.js quarantine)
+ * for download, so nothing is lost silently.
+ */
+function initRecovery() {
+  const entries = loadQuarantine();
+  const notice = $('#recovery-notice');
+  if (entries.length === 0) {
+    notice.hidden = true;
+    return;
+  }
+
+  const what = [...new Set(entries.map(e => e.key.replace('clp:', '')))].join(', ');
+  $('#recovery-msg').textContent = `Some saved data (${what}) couldn't be read and was set aside instead of being overwritten. ` +
+    'Download it to recover it by hand, or discard it.';
+  notice.hidden = false;
+
+  showToast('Some saved data couldn\'t be read and was set aside.', () => {
+    navigateTo('settings', { focus: false });
+    $('#recovery-download').focus();
+  }, 'Review');
+
+  $('#recovery-download').addEventListener('click', () => {
+    downloadFile(JSON.stringify(loadQuarantine(), null, 2), 'application/json', 'json', 'recovered');
+    announce('Recovered data downloaded.');
+  });
+  $('#recovery-dismiss').addEventListener('click', () => {
+    showConfirm('Discard recovered data?', 'The unreadable data that was set aside will be deleted permanently.', () => {
+      clearQuarantine();
+      notice.hidden = true;
+      announce('Recovered data discarded.');
+    }, 'Discard');
+  });
+}
+
+/**
+ * List per-entry import errors so the user can see what was skipped and why.
+ */
+function renderImportErrors(errors) {
+  return `<ul class="import-errors">${errors.map(err => `<li>${escapeHTML(err)}</li>`).join('')}</ul>`;
+}
+
+// ===== Merge preview =====
+function initMergeDialog() {
+  const overlay = $('#merge-dialog');
+
+  $('#merge-confirm').addEventListener('click', commitMerge);
+  $('#merge-cancel').addEventListener('click', () => {
+    closeMergeDialog();
+    announce('Import cancelled. Nothing was changed.');
+  });
+
+  // Recount whenever a resolution changes
+  $('#merge-conflicts').addEventListener('change', updateMergeTotals);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeMergeDialog();
+      announce('Import cancelled. Nothing was changed.');
+    }
+    // Trap focus inside the dialog
+    if (e.key === 'Tab') {
+      const focusable = [...overlay.querySelectorAll('input:checked, button')];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  });
+}
+
+function showMergePreview(plan, errors, savedSearches = [], courses = []) {
+  pendingMerge = { plan, errors, savedSearches, courses };
+  const { added, identical, conflicts } = plan;
+
+  const parts = [
+    `${added.length} new`,
+    `${conflicts.length} ${conflicts.length === 1 ? 'conflict' : 'conflicts'}`,
+    `${identical.length} already up to date`
+  ];
+  if (savedSearches.length > 0) parts.push(`${savedSearches.length} smart ${savedSearches.length === 1 ? 'list' : 'lists'}`);
+  if (courses.length > 0) parts.push(`${courses.length} ${courses.length === 1 ? 'course' : 'courses'}`);
+  if (errors.length > 0) parts.push(`${errors.length} with problems (skipped or fixed as listed)`);
+  $('#merge-summary').textContent = `This file contains ${parts.join(', ')}.` +
+    (conflicts.length > 0 ? ' Choose what to keep for each conflict — the newer version is pre-selected.' : '');
+
+  const errorList = $('#merge-errors');
+  errorList.innerHTML = errors.map(err => `<li>${escapeHTML(err)}</li>`).join('');
+  errorList.hidden = errors.length === 0;
+
+  $('#merge-conflicts').innerHTML = conflicts.map((c, i) => renderMergeConflict(c, i)).join('');
+  updateMergeTotals();
+
+  $('#merge-dialog').hidden = false;
+  const firstChoice = $('#merge-conflicts input:checked');
+  (firstChoice || $('#merge-confirm')).focus();
+}
+
+function renderMergeConflict({ mine, theirs, suggested }, i) {
+  const fields = [
+    ['title', 'Title', t => t.title],
+    ['dueDate', 'Due', t => t.dueDate],
+    ['startTime', 'Start', t => t.startTime || 'All day'],
+    ['duration', 'Duration', t => formatDuration(t.duration)],
+    ['tag', 'Tag', t => t.tag],
+    ['priority', 'Priority', t => priorityLabel(t.priority)],
+    ['notes', 'Notes', t => t.notes || '—'],
+    ['subtasks', 'Subtasks', t => {
+      const { done, total } = subtaskProgress(t);
+      return total === 0 ? '—' : `${done}/${total} done (${t.subtasks.map(sub => sub.title).join(', ')})`;
+    }],
+    ['completed', 'Status', t => (t.completed ? 'Done' : 'Outstanding')]
+  ];
+  const side = (task, label) => `
+    <div>
+      <strong>${label}</strong>
+      ${fields.map(([key, name, show]) => {
+        const differs = String(show(mine)) !== String(show(theirs));
+        return `<div${differs ? ' class="merge-diff"' : ''}>${name}: ${escapeHTML(String(show(task)))}</div>`;
+      }).join('')}
+      <div>Updated: ${escapeHTML(new Date(task.updatedAt).toLocaleString('en'))}</div>
+    </div>
+  `;
+  const choice = (value, label) => `
+    <label class="radio-label">
+      <input type="radio" class="radio-input" name="merge-${i}" value="${value}" data-id="${escapeHTML(mine.id)}"
+             ${suggested === value ? 'checked' : ''}> ${label}${suggested === value ? ' <span class="optional">(newer)</span>' : ''}
+    </label>
+  `;
+
+  return `
+    <fieldset class="merge-conflict">
+      <legend>${escapeHTML(mine.title)}</legend>
+      <div class="merge-compare">
+        ${side(mine, 'Mine')}
+        ${side(theirs, 'Theirs')}
+      </div>
+      <div class="radio-group">
+        ${choice('mine', 'Keep mine')}
+        ${choice('theirs', 'Take theirs')}
+        ${choice('both', 'Keep both')}
+      </div>
+    </fieldset>
+  `;
+}
+
+function getMergeResolutions() {
+  const resolutions = {};
+  $$('#merge-conflicts input:checked').forEach(input => {
+    resolutions[input.dataset.id] = input.value;
+  });
+  return resolutions;
+}
+
+function updateMergeTotals() {
+  if (!pendingMerge) return;
+  const { counts } = applyMerge(state.tasks, pendingMerge.plan, getMergeResolutions());
+  $('#merge-totals').textContent =
+    `Will add ${counts.added}, update ${counts.updated}, skip ${counts.skipped}.`;
+}
+
+function commitMerge() {
+  if (!pendingMerge) return;
+  const { plan, errors, savedSearches, courses } = pendingMerge;
+  const { tasks, counts } = applyMerge(state.tasks, plan, getMergeResolutions());
+  closeMergeDialog();
+
+  const statusEl = $('#import-status');
+  const changed = counts.added + counts.updated > 0;
+  const imported = state.importData({ tasks: changed ? tasks : null, savedSearches, courses });
+  updateCourseOptions();
+  const summary = `Merged: ${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped.` +
+    (imported.searches > 0 ? ` ${imported.searches} smart ${imported.searches === 1 ? 'list' : 'lists'} imported.` : '') +
+    (imported.courses > 0 ? ` ${imported.courses} ${imported.courses === 1 ? 'course' : 'courses'} imported.` : '');
+  if (changed) {
+    renderRecords();
+    showUndoToast(summary);
+  }
+  statusEl.className = 'import-status success';
+  statusEl.textContent = summary +
+    (errors.length > 0 ? ` ${errors.length} items had problems and were skipped or fixed.` : '');
+  statusEl.hidden = false;
+  announce(summary);
+}
+
+function closeMergeDialog() {
+  pendingMerge = null;
+  $('#merge-dialog').hidden = true;
+  $('#merge-conflicts').innerHTML = '';
+  const importLabel = $('.import-label');
+  if (importLabel) importLabel.focus();
+}
+
+// ===== CSV column mapping =====
+function initCsvDialog() {
+  const overlay = $('#csv-dialog');
+
+  $('#csv-confirm').addEventListener('click', commitCsvMapping);
+  $('#csv-cancel').addEventListener('click', () => {
+    closeCsvDialog();
+    announce('Import cancelled. Nothing was changed.');
+  });
+
+  // Any mapping/format change refreshes the preview
+  overlay.addEventListener('change', renderCsvPreview);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeCsvDialog();
+      announce('Import cancelled. Nothing was changed.');
+    }
+    // Trap focus inside the dialog
+    if (e.key === 'Tab') {
+      const focusable = [...overlay.querySelectorAll('select, button')];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  });
+}
+
+function showCsvMapping(text, mode) {
+  const rows = parseCSV(text);
+  if (rows.length < 2) {
+    finishImport({ data: [], errors: ['The CSV file needs a header row and at least one data row.'] }, mode);
+    return;
+  }
+
+  pendingCsv = { rows, mode };
+  const headers = rows[0];
+  const mapping = guessMapping(headers);
+
+  $('#csv-summary').textContent = `Found ${rows.length - 1} rows and ${headers.length} columns. ` +
+    'Choose which column holds each task field — the guesses from the header row are pre-selected.';
+
+  const options = headers.map((h, i) => `<option value="${i}">${escapeHTML(h || `Column ${i + 1}`)}</option>`).join('');
+  $('#csv-mapping').innerHTML = CSV_FIELDS.map(({ field, label, required }) => `
+    <div class="form-group">
+      <label for="csv-map-${field}" class="form-label">${label}${required ? ' <span class="required" aria-hidden="true">*</span>' : ' <span class="optional">(optional)</span>'}</label>
+      <select id="csv-map-${field}" class="form-input" data-field="${field}">
+        <option value="-1">— ${required ? 'choose a column' : 'none'} —</option>
+        ${options}
+      </select>
+    </div>`).join('');
+  CSV_FIELDS.forEach(({ field }) => {
+    $(`#csv-map-${field}`).value = String(mapping[field]);
+  });
+
+  applyCsvColumnGuesses(mapping);
+  renderCsvPreview();
+
+  $('#csv-dialog').hidden = false;
+  $(`#csv-map-${CSV_FIELDS[0].field}`).focus();
+}
+
+/**
+ * Pre-select date format and duration unit from the mapped columns' contents.
+ */
+function applyCsvColumnGuesses(mapping) {
+  const { rows } = pendingCsv;
+  const hint = $('#csv-date-hint');
+
+  if (mapping.dueDate >= 0) {
+    const { format, ambiguous } = detectDateFormat(rows.slice(1).map(r => r[mapping.dueDate] || ''));
+    if (format) $('#csv-date-format').value = format;
+    hint.textContent = ambiguous
+      ? 'Every date could be read day-first or month-first. Check the preview below.'
+      : (format ? `Detected ${format}.` : 'Date format not recognised; dates must match the format chosen here.');
+    hint.hidden = false;
+  } else {
+    hint.hidden = true;
+  }
+
+  if (mapping.duration >= 0) {
+    $('#csv-duration-unit').value = guessDurationUnit(rows[0][mapping.duration]);
+  }
+}
+
+function getCsvMapping() {
+  const mapping = {};
+  $$('#csv-mapping select').forEach(select => {
+    mapping[select.dataset.field] = parseInt(select.value, 10);
+  });
+  return mapping;
+}
+
+function getCsvOptions() {
+  return { dateFormat: $('#csv-date-format').value, durationUnit: $('#csv-duration-unit').value };
+}
+
+/**
+ * Show how the first data row will be read with the current choices.
+ */
+function renderCsvPreview(e) {
+  if (!pendingCsv) return;
+  const mapping = getCsvMapping();
+  // Re-guess formats when the date or duration column itself changes
+  if (e && e.target.matches('#csv-map-dueDate, #csv-map-duration')) applyCsvColumnGuesses(mapping);
+
+  const { dateFormat, durationUnit } = getCsvOptions();
+  const row = pendingCsv.rows[1];
+  const cell = field => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+  const minutes = parseDurationValue(cell('duration'), durationUnit);
+
+  $('#csv-preview').textContent = `Row 2 reads as: "${cell('title') || '(no title)'}" due ` +
+    `${parseDateValue(cell('dueDate'), dateFormat) || '(invalid date)'}, ` +
+    `${Number.isNaN(minutes) ? '(invalid duration)' : formatDuration(minutes)}, ` +
+    `tagged ${cell('tag') || 'Other'}.`;
+}
+
+function commitCsvMapping() {
+  if (!pendingCsv) return;
+  const mapping = getCsvMapping();
+
+  // Missing required columns: stay in the dialog so the mapping can be fixed
+  const unmapped = CSV_FIELDS.filter(f => f.required && mapping[f.field] < 0);
+  if (unmapped.length > 0) {
+    const message = `Choose a column for ${unmapped.map(f => f.label).join(', ')}.`;
+    $('#csv-preview').textContent = message;
+    announce(message, 'assertive');
+    $(`#csv-map-${unmapped[0].field}`).focus();
+    return;
+  }
+
+  const result = importCSV(pendingCsv.rows, mapping, getCsvOptions());
+  const { mode } = pendingCsv;
+  closeCsvDialog(false);
+  finishImport(result, mode);
+}
+
+function closeCsvDialog(restoreFocus = true) {
+  pendingCsv = null;
+  $('#csv-dialog').hidden = true;
+  $('#csv-mapping').innerHTML = '';
+  const importLabel = $('.import-label');
+  if (restoreFocus && importLabel) importLabel.focus();
+}
+
 // ===== Theme =====
 function initTheme() {
   const theme = loadTheme();
@@ -849,6 +3432,269 @@ function initTheme() {
   });
 }
 
+// =============================================================================
+//  FOCUS TIMER — start/pause/stop on a task, optional Pomodoro intervals
+// =============================================================================
+export function initFocusTimer() {
+  $('#focus-toggle-btn').addEventListener('click', () => {
+    const timer = state.timer;
+    if (!timer) return;
+    if (isRunning(timer)) {
+      state.pauseTimer();
+      announce(timer.phase === 'break' ? 'Break paused.' : 'Timer paused.');
+    } else {
+      state.startTimer(timer.taskId, timer.occurrenceDate);
+      announce(timer.phase === 'break' ? 'Break resumed.' : 'Timer running.');
+    }
+    renderFocusTimer();
+  });
+
+  $('#focus-stop-btn').addEventListener('click', () => {
+    const title = focusTaskTitle();
+    const minutes = state.stopTimer();
+    renderFocusTimer();
+    refreshTrackedTime();
+    announce(`Timer stopped. ${formatDuration(minutes)} logged on "${title}".`);
+  });
+
+  $('#focus-pomodoro').addEventListener('change', (e) => {
+    state.setPomodoro(e.target.checked);
+    renderFocusTimer();
+    announce(e.target.checked
+      ? `Pomodoro on: ${POMODORO.focus} minute focus intervals with ${POMODORO.shortBreak} minute breaks.`
+      : 'Pomodoro off. The timer runs until you stop it.');
+  });
+
+  // Catch up on intervals that ended while the page was closed
+  tickFocusTimer();
+  renderFocusTimer();
+}
+
+// Title of the task being timed
+function focusTaskTitle() {
+  const task = focusTask();
+  return task ? task.title : 'a deleted task';
+}
+
+function focusTask() {
+  const { taskId, occurrenceDate } = state.timer;
+  return occurrenceDate ? state.getOccurrence(taskId, occurrenceDate) : state.getTask(taskId);
+}
+
+/**
+ * Start (or keep running) the timer on a row's task, stopping any timer on another task.
+ */
+function startFocus(rowEl) {
+  const { id, occurrence } = rowEl.dataset;
+  const previous = state.timer;
+  const switching = previous && sessionKey(previous.taskId, previous.occurrenceDate) !== sessionKey(id, occurrence || null);
+  const previousTitle = previous ? focusTaskTitle() : '';
+  const minutes = switching ? state.stopTimer() : 0;
+  state.startTimer(id, occurrence || null);
+  renderFocusTimer();
+  announce(`${switching ? `Stopped "${previousTitle}" (${formatDuration(minutes)} logged). ` : ''}Focus timer running for "${focusTaskTitle()}".`);
+}
+
+/**
+ * Show or hide the timer bar, and tick it every second while it runs.
+ */
+function renderFocusTimer() {
+  const timer = state.timer;
+  const panel = $('#focus-timer');
+  clearInterval(focusTick);
+  focusTick = null;
+  panel.hidden = !timer;
+  if (!timer) return;
+
+  const running = isRunning(timer);
+  panel.classList.toggle('focus-timer--break', timer.phase === 'break');
+  panel.classList.toggle('focus-timer--paused', !running);
+  $('#focus-timer-phase').textContent = `${timer.phase === 'break' ? 'Break' : 'Focus'}${running ? '' : ' (paused)'}`;
+  $('#focus-pomodoro').checked = timer.pomodoro;
+  $('#focus-toggle-btn').textContent = running ? 'Pause' : timer.banked > 0 ? 'Resume' : 'Start';
+  updateFocusClock();
+  if (running) focusTick = setInterval(tickFocusTimer, 1000);
+}
+
+// Clock (time left in a Pomodoro phase, else time so far) and tracked vs. planned
+function updateFocusClock() {
+  const timer = state.timer;
+  const now = new Date();
+  const remaining = timerRemaining(timer, now);
+  $('#focus-timer-clock').textContent = formatClock(remaining ?? timerElapsed(timer, now));
+
+  const current = isRunning(timer) && timer.phase === 'focus' ? (now - Date.parse(timer.runningSince)) / 60000 : 0;
+  const tracked = Math.round(state.getTrackedMinutes(timer.taskId, timer.occurrenceDate) + current);
+  const task = focusTask();
+  $('#focus-timer-task').textContent = focusTaskTitle();
+  $('#focus-timer-tracked').textContent = `${formatDuration(tracked)} tracked` +
+    (task ? ` of ${formatDuration(plannedMinutes(task))} planned` : '');
+}
+
+function tickFocusTimer() {
+  if (!state.timer) return;
+  const changes = state.tickTimer();
+  if (changes.length === 0) {
+    updateFocusClock();
+    return;
+  }
+  renderFocusTimer();
+  refreshTrackedTime();
+  announce(changes[changes.length - 1] === 'break'
+    ? `Focus interval done. Take a ${Math.round(phaseLength(state.timer) / 60000)} minute break.`
+    : 'Break over. Press Start when you are ready to focus again.', 'assertive');
+}
+
+// Re-render the dashboard's planned vs. actual table when it is on screen
+function refreshTrackedTime() {
+  if (pages.dashboard.classList.contains('active')) renderTrackedTime(state.getStats().time);
+}
+
+// 65000 → "01:05", 3725000 → "1:02:05"
+function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const sec = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${m}:${sec}` : `${m}:${sec}`;
+}
+
+// =============================================================================
+//  UNDO / REDO — toast + Ctrl+Z / Ctrl+Shift+Z
+// =============================================================================
+let toastTimer = null;
+let toastCallback = null;
+const TOAST_TIMEOUT = 8000;
+
+export function initHistory() {
+  $('#toast-action').addEventListener('click', () => {
+    const cb = toastCallback;
+    hideToast();
+    if (cb) cb();
+  });
+  $('#toast-close').addEventListener('click', hideToast);
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    // Leave text fields their native undo
+    const el = e.target;
+    const isTextField = ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) && !['checkbox', 'radio'].includes(el.type);
+    if (el.isContentEditable || isTextField) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) performRedo();
+    else performUndo();
+  });
+}
+
+function performUndo() {
+  const label = state.undo();
+  if (!label) {
+    announce('Nothing to undo.');
+    return;
+  }
+  refreshAfterHistory();
+  announce(`Undid: ${label}.`);
+  showToast(`Undid: ${label}.`, performRedo, 'Redo');
+}
+
+function performRedo() {
+  const label = state.redo();
+  if (!label) {
+    announce('Nothing to redo.');
+    return;
+  }
+  refreshAfterHistory();
+  announce(`Redid: ${label}.`);
+  showToast(`Redid: ${label}.`, performUndo, 'Undo');
+}
+
+/**
+ * Re-render whatever the restored state touches.
+ */
+function refreshAfterHistory() {
+  editingKey = null;
+  movingTask = null;
+  updateTagSuggestions();
+  updateCourseOptions();
+  const page = Object.keys(pages).find(key => pages[key].classList.contains('active'));
+  if (page === 'dashboard') renderDashboard();
+  if (page === 'records') renderRecords();
+  if (page === 'calendar') renderCalendar();
+  if (page === 'settings') renderSettings();
+}
+
+/**
+ * Re-render after another tab changed data. An open inline edit is kept
+ * (re-rendering would discard what's being typed); the list catches up
+ * when the edit is saved or cancelled.
+ * @param {{ slice: string, conflicts: Array }} change - From state's 'synced' event
+ */
+export function refreshAfterSync({ conflicts }) {
+  const visible = state.getOccurrences();
+  if (editingKey && !visible.some(t => rowKey(t) === editingKey)) {
+    editingKey = null;
+    announce('The task you were editing was deleted in another tab.', 'assertive');
+  }
+  if (movingTask && !state.getTask(movingTask.id)) {
+    movingTask = null;
+    announce('The task you were moving was deleted in another tab.', 'assertive');
+  }
+
+  updateTagSuggestions();
+  updateCourseOptions();
+  const page = Object.keys(pages).find(key => pages[key].classList.contains('active'));
+  if (page === 'dashboard') renderDashboard();
+  if (page === 'records' && !editingKey && !movingTask) renderRecords();
+  if (page === 'calendar' && !movingTask) renderCalendar();
+  if (page === 'settings') renderSettings();
+  renderFocusTimer();
+
+  if (conflicts.length > 0) {
+    const names = conflicts.map(t => `"${t.title}"`).join(', ');
+    announce(`${names} ${conflicts.length === 1 ? 'was' : 'were'} also changed in another tab. The newer changes were kept.`);
+  }
+}
+
+/**
+ * Tell the user a save failed (e.g. storage quota exceeded) and offer an export
+ * so nothing is lost.
+ * @param {{ quota: boolean, message: string }} error - From state's 'storageError' event
+ */
+export function reportStorageError({ message }) {
+  announce(message, 'assertive');
+  showToast(message, handleExport, 'Export data');
+}
+
+function showUndoToast(message) {
+  showToast(message, performUndo, 'Undo');
+}
+
+/**
+ * Show a short-lived toast with one action button. The message itself is
+ * announced by the caller, so the toast is not a live region.
+ */
+function showToast(message, onAction, actionLabel) {
+  const toast = $('#toast');
+  $('#toast-msg').textContent = message;
+  const action = $('#toast-action');
+  action.textContent = actionLabel;
+  action.setAttribute('aria-label', `${actionLabel}: ${message}`);
+  toastCallback = onAction;
+  toast.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, TOAST_TIMEOUT);
+}
+
+function hideToast() {
+  $('#toast').hidden = true;
+  toastCallback = null;
+  clearTimeout(toastTimer);
+}
+
 // =============================================================================
 //  CONFIRM DIALOG
 // =============================================================================
@@ -896,10 +3742,11 @@ export function initConfirm() {
   });
 }
 
-function showConfirm(title, message, onConfirm) {
+function showConfirm(title, message, onConfirm, confirmLabel = 'Yes, Delete') {
   const overlay = $('#confirm-dialog');
   $('#confirm-title').textContent = title;
   $('#confirm-msg').textContent = message;
+  $('#confirm-yes').textContent = confirmLabel;
   confirmCallback = onConfirm;
   overlay.hidden = false;
   $('#confirm-no').focus();
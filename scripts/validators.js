@@ -29,12 +29,38 @@
  * 6. ADVANCED — Time token detection (lookahead):
  *    /\b\d{1,2}:\d{2}(?=\s*(am|pm|AM|PM)?)/
  *    - Detects time patterns: "10:30", "2:00 PM"
- *    - Used in search to filter tasks with time references
+ *    - Used in search to filter tasks with time references, and to offer
+ *      a start time found in a task's notes (extractTime)
  * 
  * 7. Tag filter pattern: /^@tag:\w+/
  *    - Special search syntax: "@tag:Study" filters by tag
+ *
+ * 8. POSITIVE INTEGER: /^[1-9]\d*$/
+ *    - Repeat interval and occurrence count
+ *    - Valid: "1", "12"
+ *    - Invalid: "0", "01", "1.5"
+ *
+ * 9. START TIME (24-hour HH:MM): /^([01]\d|2[0-3]):[0-5]\d$/
+ *    - Valid: "09:00", "13:45", "23:59"
+ *    - Invalid: "9:00", "24:00", "12:60", "1pm"
+ *
+ * 10. SUBTASK LINE (title, optional "| minutes"):
+ *     /^([^|\s](?:[^|]*[^|\s])?)(?:\s*\|\s*((?:0|[1-9]\d*)(?:\.\d{1,2})?))?$/
+ *    - One checklist item per line in the Add form
+ *    - Valid: "Draft outline", "Cite sources | 30", "Submit|5"
+ *    - Invalid: "Draft | soon", "Draft | 1.234"
+ *
+ * 11. COURSE CODE (subject letters, optional space/hyphen, number, optional suffix):
+ *     /^[A-Za-z]{2,6}[ -]?\d{2,4}[A-Za-z]?$/
+ *    - Valid: "CS101", "MATH 2410", "Bio-110L"
+ *    - Invalid: "101", "C 101", "CS  101", "CS101-2"
  */
 
+import { FREQUENCIES } from './recurrence.js';
+import { isValidDate } from './dates.js';
+import { PRIORITIES } from './priority.js';
+import { createSubtask } from './subtasks.js';
+
 // ===== Validation patterns =====
 const PATTERNS = {
   // Rule 1: Title — no leading/trailing spaces
@@ -56,7 +82,19 @@ const PATTERNS = {
   timeToken: /\b\d{1,2}:\d{2}(?=\s*(?:am|pm|AM|PM)?)/,
 
   // Rule 7: Tag filter syntax
-  tagFilter: /^@tag:(\w[\w -]*)$/i
+  tagFilter: /^@tag:(\w[\w -]*)$/i,
+
+  // Rule 8: Positive integer (repeat interval / count)
+  positiveInt: /^[1-9]\d*$/,
+
+  // Rule 9: Start time — 24-hour HH:MM
+  time: /^([01]\d|2[0-3]):[0-5]\d$/,
+
+  // Rule 10: Checklist line — title (no "|") with optional "| minutes" (numeric rule)
+  subtaskLine: /^([^|\s](?:[^|]*[^|\s])?)(?:\s*\|\s*((?:0|[1-9]\d*)(?:\.\d{1,2})?))?$/,
+
+  // Rule 11: Course code — e.g. "CS101", "MATH 2410"
+  courseCode: /^[A-Za-z]{2,6}[ -]?\d{2,4}[A-Za-z]?$/
 };
 
 // ===== Validation error messages =====
@@ -77,6 +115,39 @@ const MESSAGES = {
     required: 'Tag is required.',
     invalid: 'Tag must contain only letters, spaces, or hyphens.'
   },
+  interval: {
+    invalid: 'Repeat interval must be a whole number of at least 1.'
+  },
+  count: {
+    invalid: 'Number of occurrences must be a whole number of at least 1.'
+  },
+  until: {
+    invalid: 'Enter a valid end date in YYYY-MM-DD format.',
+    beforeStart: 'End date cannot be before the due date.'
+  },
+  time: {
+    invalid: 'Enter a valid time in 24-hour HH:MM format (e.g. 09:30).'
+  },
+  subtasks: {
+    invalid: 'Each checklist line needs a title, optionally followed by "| minutes" (e.g. "Draft | 60").'
+  },
+  priority: {
+    invalid: `Priority must be one of ${PRIORITIES.join(', ')}.`
+  },
+  weekdays: {
+    required: 'Pick at least one weekday.'
+  },
+  courseCode: {
+    required: 'Course code is required.',
+    invalid: 'Use letters then a number, e.g. CS101 or MATH 2410.'
+  },
+  courseName: {
+    required: 'Course name is required.',
+    invalid: 'Course name must not start or end with spaces.'
+  },
+  instructor: {
+    invalid: 'Instructor must not start or end with spaces.'
+  },
   notes: {
     duplicateWords: 'Warning: Duplicate word detected ("$1 $1"). Did you mean to repeat it?'
   }
@@ -109,9 +180,7 @@ export function validateField(field, value) {
       if (!trimmed) return { valid: false, error: MESSAGES.date.required, warning: null };
       if (!PATTERNS.date.test(trimmed)) return { valid: false, error: MESSAGES.date.invalid, warning: null };
       // Additional: check that the date is actually valid (e.g. not Feb 30)
-      const [y, m, d] = trimmed.split('-').map(Number);
-      const dateObj = new Date(y, m - 1, d);
-      if (dateObj.getFullYear() !== y || dateObj.getMonth() !== m - 1 || dateObj.getDate() !== d) {
+      if (!isValidDate(trimmed)) {
         return { valid: false, error: 'This date does not exist (e.g. Feb 30).', warning: null };
       }
       return { valid: true, error: null, warning: null };
@@ -133,21 +202,213 @@ export function validateField(field, value) {
       return { valid: true, error: null, warning };
     }
 
+    case 'interval': {
+      // Optional — blank means "every 1"
+      if (!trimmed) return { valid: true, error: null, warning: null };
+      if (!PATTERNS.positiveInt.test(trimmed)) return { valid: false, error: MESSAGES.interval.invalid, warning: null };
+      return { valid: true, error: null, warning: null };
+    }
+
+    case 'count': {
+      if (!trimmed) return { valid: true, error: null, warning: null };
+      if (!PATTERNS.positiveInt.test(trimmed)) return { valid: false, error: MESSAGES.count.invalid, warning: null };
+      return { valid: true, error: null, warning: null };
+    }
+
+    case 'until': {
+      if (!trimmed) return { valid: true, error: null, warning: null };
+      const result = validateField('date', trimmed);
+      return result.valid ? result : { valid: false, error: MESSAGES.until.invalid, warning: null };
+    }
+
+    case 'priority': {
+      // Optional — blank means the default (medium)
+      if (!trimmed) return { valid: true, error: null, warning: null };
+      if (!PRIORITIES.includes(trimmed)) return { valid: false, error: MESSAGES.priority.invalid, warning: null };
+      return { valid: true, error: null, warning: null };
+    }
+
+    case 'subtasks': {
+      // Optional — one item per line, blank lines ignored
+      const bad = trimmed.split(/\r?\n/).map(line => line.trim()).filter(line => line && !PATTERNS.subtaskLine.test(line));
+      if (bad.length > 0) return { valid: false, error: `${MESSAGES.subtasks.invalid} Check: "${bad[0]}"`, warning: null };
+      return { valid: true, error: null, warning: null };
+    }
+
+    case 'courseCode': {
+      if (!trimmed) return { valid: false, error: MESSAGES.courseCode.required, warning: null };
+      if (!PATTERNS.courseCode.test(trimmed)) return { valid: false, error: MESSAGES.courseCode.invalid, warning: null };
+      return { valid: true, error: null, warning: null };
+    }
+
+    case 'courseName': {
+      if (!trimmed) return { valid: false, error: MESSAGES.courseName.required, warning: null };
+      if (!PATTERNS.title.test(trimmed)) return { valid: false, error: MESSAGES.courseName.invalid, warning: null };
+      return { valid: true, error: null, warning: null };
+    }
+
+    case 'instructor': {
+      // Optional
+      if (!trimmed) return { valid: true, error: null, warning: null };
+      if (!PATTERNS.title.test(trimmed)) return { valid: false, error: MESSAGES.instructor.invalid, warning: null };
+      return { valid: true, error: null, warning: null };
+    }
+
+    case 'time': {
+      // Optional — blank means an all-day task
+      if (!trimmed) return { valid: true, error: null, warning: null };
+      if (!PATTERNS.time.test(trimmed)) return { valid: false, error: MESSAGES.time.invalid, warning: null };
+      return { valid: true, error: null, warning: null };
+    }
+
     default:
       return { valid: true, error: null, warning: null };
   }
 }
 
+/**
+ * Validate a stored/imported recurrence rule object.
+ * @param {object|null} rule - The rule (null means "does not repeat")
+ * @param {string} dueDate - First date of the series
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+export function validateRecurrence(rule, dueDate) {
+  if (rule == null) return { valid: true, error: null };
+  if (typeof rule !== 'object') return { valid: false, error: 'recurrence must be an object' };
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return { valid: false, error: `recurrence.freq must be one of ${FREQUENCIES.join(', ')}` };
+  }
+  if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval >= 1)) {
+    return { valid: false, error: 'recurrence.interval must be a whole number of at least 1' };
+  }
+  if (rule.weekdays !== undefined && (!Array.isArray(rule.weekdays) ||
+      !rule.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+    return { valid: false, error: 'recurrence.weekdays must be a list of 0–6' };
+  }
+  if (rule.until != null && !validateField('date', rule.until).valid) {
+    return { valid: false, error: 'recurrence.until must be a valid YYYY-MM-DD date' };
+  }
+  if (rule.until && dueDate && rule.until < dueDate) {
+    return { valid: false, error: 'recurrence.until is before the due date' };
+  }
+  if (rule.count != null && !(Number.isInteger(rule.count) && rule.count >= 1)) {
+    return { valid: false, error: 'recurrence.count must be a whole number of at least 1' };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate a stored/imported subtask list.
+ * @param {Array|undefined|null} subtasks - Missing means "no checklist"
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+export function validateSubtasks(subtasks) {
+  if (subtasks == null) return { valid: true, error: null };
+  if (!Array.isArray(subtasks)) return { valid: false, error: 'subtasks must be a list' };
+  for (const [i, sub] of subtasks.entries()) {
+    const label = `subtasks[${i}]`;
+    if (!sub || typeof sub !== 'object') return { valid: false, error: `${label} must be an object` };
+    if (typeof sub.title !== 'string' || !sub.title.trim()) return { valid: false, error: `${label}.title is missing` };
+    if (sub.done !== undefined && typeof sub.done !== 'boolean') return { valid: false, error: `${label}.done must be true or false` };
+    if (sub.duration != null && !(Number.isFinite(sub.duration) && sub.duration >= 0)) {
+      return { valid: false, error: `${label}.duration must be a non-negative number` };
+    }
+  }
+  return { valid: true, error: null };
+}
+
+// Checks for each field a per-occurrence change may override
+const EXCEPTION_FIELDS = {
+  skipped: v => typeof v === 'boolean',
+  completed: v => typeof v === 'boolean',
+  completedAt: v => v === null || (typeof v === 'string' && !isNaN(Date.parse(v))),
+  title: v => typeof v === 'string' && v.trim() !== '',
+  dueDate: v => typeof v === 'string' && validateField('date', v).valid,
+  startTime: v => v === null || (typeof v === 'string' && validateField('time', v).valid),
+  duration: v => Number.isFinite(v) && v >= 0,
+  tag: v => typeof v === 'string' && v.trim() !== '',
+  priority: v => PRIORITIES.includes(v),
+  courseId: v => v === null || (typeof v === 'string' && v !== ''),
+  notes: v => typeof v === 'string',
+  subtasks: v => Array.isArray(v) && validateSubtasks(v).valid
+};
+
+/**
+ * Validate a stored/imported exceptions map: YYYY-MM-DD keys, each holding an
+ * object of per-occurrence changes to known fields.
+ * @param {Object|undefined|null} exceptions - Missing means "no changes"
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+export function validateExceptions(exceptions) {
+  if (exceptions == null) return { valid: true, error: null };
+  if (typeof exceptions !== 'object' || Array.isArray(exceptions)) {
+    return { valid: false, error: 'exceptions must map YYYY-MM-DD dates to changes' };
+  }
+  for (const [date, change] of Object.entries(exceptions)) {
+    const label = `exceptions[${date}]`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return { valid: false, error: `${label} is not keyed by a YYYY-MM-DD date` };
+    if (!change || typeof change !== 'object' || Array.isArray(change)) return { valid: false, error: `${label} must be an object` };
+    for (const [field, value] of Object.entries(change)) {
+      if (!EXCEPTION_FIELDS[field]) return { valid: false, error: `${label} has unknown field ${field}` };
+      if (!EXCEPTION_FIELDS[field](value)) return { valid: false, error: `${label}.${field} is invalid` };
+    }
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Parse the Add form's checklist: one subtask per line, blank lines ignored.
+ * @param {string} text
+ * @returns {{ subtasks: Array, invalid: string[] }} `invalid` lists lines that don't parse
+ */
+export function parseSubtaskLines(text) {
+  const subtasks = [];
+  const invalid = [];
+  (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const match = line.match(PATTERNS.subtaskLine);
+    if (!match) invalid.push(line);
+    else subtasks.push(createSubtask(match[1], match[2] ?? null));
+  });
+  return { subtasks, invalid };
+}
+
+/**
+ * Find the first time mentioned in some text (Rule 6) as 24-hour HH:MM.
+ * "Review at 10:30 AM" → "10:30", "lab 2:15pm" → "14:15", "9:05" → "09:05".
+ * @param {string} text
+ * @returns {string|null} null when there is no (valid) time in the text
+ */
+export function extractTime(text) {
+  const match = (text || '').match(PATTERNS.timeToken);
+  if (!match) return null;
+
+  let [hours, minutes] = match[0].split(':').map(Number);
+  const meridiem = text.slice(match.index + match[0].length).match(/^\s*(am|pm)\b/i);
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    const pm = meridiem[1].toLowerCase() === 'pm';
+    hours = (hours % 12) + (pm ? 12 : 0);
+  }
+
+  const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  return PATTERNS.time.test(time) ? time : null;
+}
+
 /**
  * Validate all form fields at once.
  * @returns {{ valid: boolean, errors: Record<string, string>, warnings: Record<string, string> }}
  */
 export function validateForm(data) {
-  const fields = ['title', 'duration', 'date', 'tag', 'notes'];
+  const fields = ['title', 'duration', 'date', 'time', 'tag', 'priority', 'notes', 'subtasks'];
   const errors = {};
   const warnings = {};
   let valid = true;
 
+  // Repeat fields only matter when the task repeats
+  if (data.repeat && data.repeat !== 'none') {
+    fields.push('interval', 'until', 'count');
+  }
+
   for (const field of fields) {
     const value = data[field] || '';
     const result = validateField(field, value);
@@ -160,6 +421,15 @@ export function validateForm(data) {
     }
   }
 
+  if (data.repeat === 'weekly' && (!data.weekdays || data.weekdays.length === 0)) {
+    valid = false;
+    errors.weekdays = MESSAGES.weekdays.required;
+  }
+  if (!errors.until && !errors.date && data.until && data.date && data.until < data.date) {
+    valid = false;
+    errors.until = MESSAGES.until.beforeStart;
+  }
+
   return { valid, errors, warnings };
 }
 